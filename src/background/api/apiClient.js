@@ -3,7 +3,7 @@
  * Handles all HTTP requests to the YALG API with proper error handling and retry logic
  */
 
-import { API_ENDPOINTS, ERROR_CODES, DEFAULT_CONFIG } from '../../shared/constants.js';
+import { API_ENDPOINTS, ERROR_CODES, DEFAULT_CONFIG, RETRY_POLICY, IDEMPOTENCY } from '../../shared/constants.module.js';
 import { Logger } from '../../shared/utils/logger.js';
 
 export class ApiClient {
@@ -12,8 +12,9 @@ export class ApiClient {
     this.logger = Logger.createScoped('API');
     this.options = {
       timeout: 30000,
-      retries: 3,
-      retryDelay: 1000,
+      retries: RETRY_POLICY.RETRIES,
+      retryDelay: RETRY_POLICY.BASE_DELAY,
+      onUnauthorized: null, // called on 401 so cached credentials can be dropped
       ...options
     };
   }
@@ -21,7 +22,8 @@ export class ApiClient {
   /**
    * Make HTTP request with retry logic
    * @param {string} endpoint - API endpoint
-   * @param {Object} options - Request options
+   * @param {Object} options - Request options. `idempotencyKey` is sent as the
+   *   Idempotency-Key header and stays the same across retries of the request.
    * @returns {Promise<Object>} API response
    */
   async makeRequest(endpoint, options = {}) {
@@ -30,7 +32,8 @@ export class ApiClient {
       headers = {},
       body = null,
       timeout = this.options.timeout,
-      retries = this.options.retries
+      retries = this.options.retries,
+      idempotencyKey = null
     } = options;
 
     const url = `${this.baseUrl}${endpoint}`;
@@ -42,7 +45,8 @@ export class ApiClient {
       method,
       headers: {
         'Content-Type': 'application/json',
-        ...headers
+        ...headers,
+        ...(idempotencyKey && { [IDEMPOTENCY.HEADER]: idempotencyKey })
       },
       ...(body && { body: JSON.stringify(body) })
     };
@@ -68,8 +72,13 @@ export class ApiClient {
             errorData,
             endpoint
           );
+          error.retryAfter = ApiClient.parseRetryAfter(response.headers.get('Retry-After'));
           
-          this.logger.apiCall(method, url, response.status, duration, errorData);
+          Logger.apiCall(method, url, response.status, duration, errorData);
+          
+          if (response.status === 401 && this.options.onUnauthorized) {
+            this.options.onUnauthorized(error);
+          }
           
           // Don't retry client errors (4xx)
           if (response.status >= 400 && response.status < 500) {
@@ -80,7 +89,7 @@ export class ApiClient {
         }
 
         const result = await response.json();
-        this.logger.apiCall(method, url, response.status, duration);
+        Logger.apiCall(method, url, response.status, duration);
         
         return result;
 
@@ -88,7 +97,7 @@ export class ApiClient {
         lastError = error;
         
         if (attempt < retries - 1 && this._shouldRetry(error)) {
-          const delay = this.options.retryDelay * Math.pow(2, attempt);
+          const delay = ApiClient.backoffDelay(attempt, this.options.retryDelay);
           this.logger.warn(`Request attempt ${attempt + 1} failed, retrying in ${delay}ms`, {
             requestId,
             error: error.message
@@ -141,33 +150,112 @@ export class ApiClient {
   // API Methods
 
   /**
-   * Queue posts for processing
+   * Queue a post for processing
    * @param {string} userId - User ID
-   * @param {string} htmlContent - HTML content to process
+   * @param {Object} postBody - `{ postId, idempotencyKey, event, post, htmlContent? }`. The
+   *   `idempotencyKey` (`<postId>:<content hash>`) also goes out as the Idempotency-Key header.
+   * @param {Object} requestOptions - makeRequest overrides, e.g. `retries`
    * @returns {Promise<Object>} API response
    */
-  async queuePost(userId, htmlContent) {
+  async queuePost(userId, postBody, requestOptions = {}) {
     return this.makeRequest(API_ENDPOINTS.POSTS_QUEUE, {
       method: 'POST',
       headers: this._getHeaders(),
-      body: { userId, htmlContent }
+      idempotencyKey: postBody.idempotencyKey || null,
+      body: { userId, ...postBody },
+      ...requestOptions
     });
   }
 
   /**
    * Send posts in bulk
    * @param {string} userId - User ID
-   * @param {Array} posts - Array of post objects
-   * @returns {Promise<Object>} API response
+   * @param {Array} posts - `{ postId, idempotencyKey, event, post, htmlContent? }` per post
+   * @param {string|null} idempotencyKey - Key for the request as a whole
+   * @param {Object} requestOptions - makeRequest overrides, e.g. `retries`
+   * @returns {Promise<Object>} API response with `results: [{ postId, success, error?, status? }]`
    */
-  async sendBulkPosts(userId, posts) {
+  async sendBulkPosts(userId, posts, idempotencyKey = null, requestOptions = {}) {
     return this.makeRequest(API_ENDPOINTS.POSTS_BULK, {
+      method: 'POST',
+      headers: this._getHeaders(),
+      idempotencyKey,
+      body: { userId, posts },
+      ...requestOptions
+    });
+  }
+
+  /**
+   * Send engagement snapshots for already-imported posts
+   * @param {string} userId - User ID
+   * @param {Array} snapshots - `{ postId, urn, reactions, comments, reposts, impressions, capturedAt }`
+   * @returns {Promise<Object>} API response
+   */
+  async sendMetricSnapshots(userId, snapshots) {
+    return this.makeRequest(API_ENDPOINTS.POSTS_METRICS, {
+      method: 'POST',
+      headers: this._getHeaders(),
+      body: { userId, snapshots }
+    });
+  }
+
+  /**
+   * Report synced posts that no longer show up in the activity feed
+   * @param {string} userId - User ID
+   * @param {Array} posts - `{ postId, postedAt, lastSeenAt }`
+   * @returns {Promise<Object>} API response
+   */
+  async reportRemovedPosts(userId, posts) {
+    return this.makeRequest(API_ENDPOINTS.POSTS_REMOVED, {
       method: 'POST',
       headers: this._getHeaders(),
       body: { userId, posts }
     });
   }
 
+  /**
+   * Save someone else's post to the user's inspiration swipe file
+   * @param {string} userId - User ID
+   * @param {Object} inspiration - See InspirationService.toInspirationBody
+   * @returns {Promise<Object>} API response
+   */
+  async saveInspiration(userId, inspiration) {
+    return this.makeRequest(API_ENDPOINTS.INSPIRATIONS, {
+      method: 'POST',
+      headers: this._getHeaders(),
+      body: { userId, inspiration }
+    });
+  }
+
+  /**
+   * Create an anecdote from text selected on a web page
+   * @param {string} userId - User ID
+   * @param {Object} anecdote - `{ text, title, url }`
+   * @returns {Promise<Object>} API response with `anecdoteId`
+   */
+  async createTextAnecdote(userId, anecdote) {
+    return this.makeRequest(API_ENDPOINTS.ANECDOTES_TEXT, {
+      method: 'POST',
+      headers: this._getHeaders(),
+      body: { userId, ...anecdote }
+    });
+  }
+
+  /**
+   * Link a YALG draft to the LinkedIn post it was published as
+   * @param {string} userId - User ID
+   * @param {string} draftId - YALG draft ID
+   * @param {Object} publication - `{ urn, publishedAt, url }`
+   * @returns {Promise<Object>} API response
+   */
+  async reportDraftPublished(userId, draftId, publication) {
+    return this.makeRequest(`${API_ENDPOINTS.DRAFTS}/${encodeURIComponent(draftId)}/published`, {
+      method: 'POST',
+      headers: this._getHeaders(),
+      body: { userId, ...publication }
+    });
+  }
+
   /**
    * Send HTML content for processing
    * @param {string} userId - User ID
@@ -250,6 +338,37 @@ export class ApiClient {
     return true;
   }
 
+  /**
+   * Exponential backoff delay before retry `attempt` (0-based).
+   * The background upload queue applies the same curve to queued posts.
+   * @param {number} attempt - Number of attempts already failed, minus one
+   * @param {number} baseDelay - Delay before the first retry
+   * @param {number} maxDelay - Upper bound for the delay
+   * @returns {number} Delay in milliseconds
+   */
+  static backoffDelay(attempt, baseDelay = RETRY_POLICY.BASE_DELAY, maxDelay = RETRY_POLICY.MAX_DELAY) {
+    return Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
+  }
+
+  /**
+   * Parse a Retry-After header, which is either seconds or an HTTP date
+   * @param {string|null} value - Header value
+   * @returns {number|null} Delay in milliseconds, null when absent or invalid
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
   /**
    * Wait for specified time
    * @param {number} ms - Time to wait
@@ -0,0 +1,101 @@
+/**
+ * Auth Context
+ * The YALG access token and backend user for the current sync session.
+ * Resolved once when a sync starts (accessToken cookie + `GET /users/me`) and
+ * cached for AUTH_CONTEXT.TTL, so uploads don't look the user up per post.
+ * A 401 from the backend (see ApiClient's onUnauthorized) drops the cached
+ * context and the next caller resolves a fresh one.
+ */
+
+import { AUTH_CONTEXT, URLS } from '../shared/constants.module.js';
+
+export class AuthContext {
+  static TTL = AUTH_CONTEXT.TTL;
+  static FRONTEND_URL = URLS.FRONTEND_BASE;
+  static USERS_ME_URL = URLS.API_USERS_ME;
+
+  /**
+   * Get the auth context, resolving it when missing or expired.
+   * Concurrent callers share a single lookup.
+   * @param {Object} options - `{ force }` to ignore the cache (start of a sync)
+   * @returns {Promise<Object>} `{ authToken, userId, user, resolvedAt, expiresAt }`
+   */
+  static async resolve({ force = false } = {}) {
+    if (!force && this._context && this._context.expiresAt > Date.now()) {
+      return this._context;
+    }
+
+    if (!this._pending) {
+      this._pending = this._lookup()
+        .then(context => {
+          this._context = context;
+          return context;
+        })
+        .finally(() => {
+          this._pending = null;
+        });
+    }
+
+    return this._pending;
+  }
+
+  /**
+   * Drop the cached context, e.g. after the backend answered 401
+   */
+  static invalidate() {
+    if (this._context) {
+      console.log('YALG Extension: Auth context invalidated');
+    }
+    this._context = null;
+  }
+
+  /**
+   * Current context without resolving, for status displays
+   * @returns {Object|null} Cached context when still valid
+   */
+  static peek() {
+    return this._context && this._context.expiresAt > Date.now() ? this._context : null;
+  }
+
+  static async _lookup() {
+    const cookies = await chrome.cookies.getAll({
+      domain: new URL(this.FRONTEND_URL).hostname,
+      name: 'accessToken'
+    });
+
+    if (cookies.length === 0 || !cookies[0].value) {
+      const error = new Error('No authentication token available - please log in to YALG');
+      error.status = 401;
+      throw error;
+    }
+
+    const authToken = cookies[0].value;
+    const response = await fetch(this.USERS_ME_URL, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${authToken}`
+      }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Failed to get user info: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const user = await response.json();
+    const resolvedAt = Date.now();
+    console.log('YALG Extension: Auth context resolved for user', user.id);
+
+    return {
+      authToken,
+      userId: user.id,
+      user,
+      resolvedAt,
+      expiresAt: resolvedAt + this.TTL
+    };
+  }
+}
+
+AuthContext._context = null;
+AuthContext._pending = null;
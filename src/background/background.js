@@ -1,34 +1,82 @@
-// Background service worker for YALG extension (No ES6 imports)
-console.log('YALG Extension: Background script loaded');
+// Background service worker for YALG extension (ES module worker, see manifest.json).
+// Message handlers stay thin: sync sessions, history and uploads belong to SyncService,
+// HTTP to ApiClient and settings to ConfigService.
+
+import { MESSAGE_TYPES, COLLECTION_SOURCES, URLS } from '../shared/constants.module.js';
+import { StorageService } from '../shared/utils/storage.js';
+import { FrontendAuthBridge } from '../shared/utils/frontend-auth-bridge.js';
+import { ApiClient } from './api/apiClient.js';
+import { ConfigService } from './services/configService.js';
+import { SyncService } from './services/syncService.js';
+import { SyncScheduler } from './services/syncScheduler.js';
+import { InspirationService } from './services/inspirationService.js';
+import { ComposerService } from './services/composerService.js';
+import { AnecdoteService } from './services/anecdoteService.js';
+import { UploadQueue } from './uploadQueue.js';
 
-// Import constants by loading the script
-importScripts('../shared/constants.js');
+console.log('YALG Extension: Background script loaded');
 
-// Store configuration using centralized constants
-let config = {
-  apiBaseUrl: globalThis.YALG_URLS?.BACKEND_BASE || 'http://localhost:3000',
-  authToken: null,
-  userId: null
-};
+const apiClient = new ApiClient(URLS.BACKEND_BASE);
+const syncService = new SyncService(apiClient);
+const scheduler = new SyncScheduler(syncService);
+const inspirations = new InspirationService(apiClient, () => syncService.resolveAuth());
+const composer = new ComposerService(syncService, apiClient);
+const anecdotes = new AnecdoteService(apiClient, () => syncService.resolveAuth());
 
-console.log('YALG Extension: Config initialized with centralized URLs:', config.apiBaseUrl);
+console.log('YALG Extension: API client initialized with centralized URLs:', apiClient.baseUrl);
 
 // Initialize token management on startup
 chrome.runtime.onStartup.addListener(() => {
   console.log('YALG Extension: Extension startup detected');
   initializeBridge();
+  syncService.uploads.processDue();
+  scheduler.ensureAlarm();
 });
 
-chrome.runtime.onInstalled.addListener(() => {
-  console.log('YALG Extension: Extension installed/updated');
+chrome.runtime.onInstalled.addListener((details) => {
+  console.log('YALG Extension: Extension installed/updated', details);
   initializeBridge();
+  ConfigService.initializeDefaultConfig();
+  syncService.uploads.processDue();
+  scheduler.ensureAlarm();
+  anecdotes.registerContextMenu();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  // Retry queued uploads whose backoff has elapsed
+  if (alarm.name === UploadQueue.ALARM_NAME) {
+    syncService.uploads.processDue();
+  }
+
+  if (alarm.name === SyncScheduler.ALARM_NAME) {
+    scheduler.run();
+  }
+});
+
+// "Save selection to YALG as anecdote", available on any page
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === AnecdoteService.MENU_ID) {
+    anecdotes.handleMenuClick(info, tab);
+  }
+});
+
+// The "anecdote saved" notification links to the anecdote in YALG
+chrome.notifications.onClicked.addListener((notificationId) => {
+  anecdotes.openFromNotification(notificationId);
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId) => {
+  anecdotes.openFromNotification(notificationId);
+});
+
+// A sync whose tab goes away can't finish; close it instead of leaving it "in progress"
+chrome.tabs.onRemoved.addListener((tabId) => {
+  syncService.handleTabRemoved(tabId);
 });
 
 // Initialize the frontend authentication bridge
-async function initializeBridge() {
+function initializeBridge() {
   try {
-    // Import and initialize the bridge
-    const { FrontendAuthBridge } = await import('../shared/utils/frontend-auth-bridge.js');
     FrontendAuthBridge.initialize();
     console.log('YALG Extension: Frontend auth bridge initialized');
   } catch (error) {
@@ -36,259 +84,414 @@ async function initializeBridge() {
   }
 }
 
-// Background script for YALG extension
-
 // Listen for messages from the frontend website
 chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
   console.log('YALG Extension: Received external message', message);
-  
-  if (message.type === 'CHECK_EXTENSION') {
+
+  if (message.type === MESSAGE_TYPES.CHECK_EXTENSION) {
     // Respond that extension is installed
     sendResponse({ installed: true, version: chrome.runtime.getManifest().version });
     return true;
   }
-  
-  if (message.type === 'START_SYNC') {
-    handleStartSync(message.data, sendResponse);
-    return true; // Keep message channel open for async response
-  }
-  
-  if (message.type === 'CONFIGURE') {
-    // Update configuration from frontend
-    config = { ...config, ...message.data };
-    
-    // Also save to new auth_config format for TokenManager
-    const authConfig = {
-      authToken: message.data.authToken,
-      userId: message.data.userId,
-      frontendUrl: message.data.frontendUrl || globalThis.YALG_URLS?.FRONTEND_BASE || 'http://localhost:3400',
-      backendUrl: message.data.backendUrl || message.data.apiBaseUrl || globalThis.YALG_URLS?.BACKEND_BASE || 'http://localhost:3000',
-      lastValidated: Date.now()
-    };
-    
-    chrome.storage.local.set({ 
-      config: config,
-      auth_config: authConfig
-    });
-    
-    console.log('YALG Extension: Configuration updated', { userId: authConfig.userId });
-    sendResponse({ success: true });
+
+  if (message.type === MESSAGE_TYPES.CONFIGURE) {
+    handleConfigure(message.data, sendResponse);
     return true;
   }
-  
-  if (message.type === 'SET_AUTO_START') {
+
+  if (message.type === MESSAGE_TYPES.SET_AUTO_START) {
     // Set auto-start flag for content script
-    chrome.storage.local.set({ autoStartSync: message.data.autoStart });
+    StorageService.setAutoStartSync(message.data.autoStart);
     sendResponse({ success: true });
     return true;
   }
+
+  if (message.type === MESSAGE_TYPES.OPEN_DRAFT_IN_LINKEDIN) {
+    handleOpenDraft(message.data, sendResponse);
+    return true;
+  }
+
+  return handleSyncControl(message, sendResponse);
 });
 
 // Listen for messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('YALG Extension: Received internal message', message);
-  
-  if (message.type === 'START_SYNC') {
-    handleStartSync(message.data, sendResponse);
+
+  if (message.type === MESSAGE_TYPES.PROCESS_SINGLE_HTML_ELEMENT) {
+    handleSingleHTMLElement(message.data, sendResponse);
     return true; // Keep message channel open for async response
   }
-  console.log(message);
-  if (message.type === 'PROCESS_SINGLE_HTML_ELEMENT') {
-    // Handle individual HTML element processing
-    handleSingleHTMLElement(message.data, sendResponse);
+
+  if (message.type === MESSAGE_TYPES.PROCESS_HTML_BATCH) {
+    handleHTMLBatch(message.data, sendResponse);
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.type === MESSAGE_TYPES.SAVE_POST) {
+    handleSavePost(message.data, sendResponse);
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.type === MESSAGE_TYPES.OPEN_DRAFT_IN_LINKEDIN) {
+    handleOpenDraft(message.data, sendResponse);
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.type === MESSAGE_TYPES.DRAFT_PUBLISHED) {
+    handleDraftPublished(message.data, sendResponse);
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.type === MESSAGE_TYPES.SAVE_INSPIRATION) {
+    handleSaveInspiration(message.data, sendResponse);
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.type === MESSAGE_TYPES.SEND_METRIC_SNAPSHOTS) {
+    handleMetricSnapshots(message.data, sendResponse);
     return true; // Keep message channel open for async response
   }
-  
-  if (message.type === 'SCRAPING_ERROR') {
+
+  if (message.type === MESSAGE_TYPES.REPORT_SEEN_POSTS) {
+    handleSeenPosts(message.data, sendResponse);
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.type === MESSAGE_TYPES.GET_UPLOAD_QUEUE) {
+    handleGetUploadQueue(sendResponse);
+    return true;
+  }
+
+  if (message.type === MESSAGE_TYPES.RETRY_FAILED_UPLOADS) {
+    handleRetryFailedUploads(message.data, sendResponse);
+    return true;
+  }
+
+  if (message.type === MESSAGE_TYPES.DISCARD_FAILED_UPLOADS) {
+    handleDiscardFailedUploads(message.data, sendResponse);
+    return true;
+  }
+
+  if (message.type === MESSAGE_TYPES.SCRAPING_ERROR) {
     handleScrapingError(message.error, sendResponse);
     return true;
   }
-  
-  if (message.type === 'SCRAPING_PROGRESS') {
+
+  if (message.type === MESSAGE_TYPES.SCRAPING_PROGRESS) {
+    syncService.handleSyncProgress(message.data);
     // Forward progress to popup if it's open
-    chrome.runtime.sendMessage({ type: 'PROGRESS_UPDATE', data: message.data });
+    chrome.runtime.sendMessage({ type: MESSAGE_TYPES.PROGRESS_UPDATE, data: message.data });
     return true;
   }
-  
-  if (message.type === 'SCRAPING_COMPLETE') {
-    // Forward completion status to popup if it's open
-    chrome.runtime.sendMessage({ type: 'SYNC_COMPLETE', data: message.data });
+
+  if (message.type === MESSAGE_TYPES.SCRAPING_COMPLETE) {
+    handleScrapingComplete(message.data, sendResponse);
     return true;
   }
-  
 
+  return handleSyncControl(message, sendResponse);
 });
 
-async function handleSingleHTMLElement(elementData, sendResponse) {
+// Sync control shared by the frontend website and the popup.
+// Returns true when the message was handled (async response pending).
+function handleSyncControl(message, sendResponse) {
+  switch (message.type) {
+    case MESSAGE_TYPES.START_SYNC:
+      handleStartSync(message.data, sendResponse);
+      return true;
+    case MESSAGE_TYPES.PAUSE_SYNC:
+      handlePauseSync(true, sendResponse);
+      return true;
+    case MESSAGE_TYPES.RESUME_SYNC:
+      handlePauseSync(false, sendResponse);
+      return true;
+    case MESSAGE_TYPES.CANCEL_SYNC:
+      handleCancelSync(sendResponse);
+      return true;
+    case MESSAGE_TYPES.GET_SYNC_STATUS:
+      // A freshly woken worker answers from the persisted session
+      syncService.ready.then(() => {
+        sendResponse({ success: true, sync: syncService.getCurrentSyncStatus() });
+      });
+      return true;
+    case MESSAGE_TYPES.GET_SYNC_HISTORY:
+      syncService.ready.then(() => {
+        sendResponse({ success: true, history: syncService.getSyncHistory(message.data?.limit) });
+      });
+      return true;
+    case MESSAGE_TYPES.GET_SYNC_RUN:
+      syncService.ready.then(() => {
+        const run = syncService.getSyncRun(message.data?.id);
+        sendResponse(run ? { success: true, run } : { success: false, error: 'Sync run not found' });
+      });
+      return true;
+    case MESSAGE_TYPES.GET_SYNC_SCHEDULE:
+      handleGetSchedule(sendResponse);
+      return true;
+    case MESSAGE_TYPES.SET_SYNC_SCHEDULE:
+      handleSetSchedule(message.data, sendResponse);
+      return true;
+    default:
+      return false;
+  }
+}
+
+async function handleConfigure(data, sendResponse) {
   try {
-    console.log(`YALG Extension: Processing single HTML element ${elementData.id}`);
-    
-    // Get accessToken from cookie
-  
-    const frontendUrl = globalThis.YALG_URLS?.FRONTEND_BASE || 'http://localhost:3400';
-    console.log(frontendUrl);
-    const cookies = await chrome.cookies.getAll({ 
-      domain: new URL(frontendUrl).hostname,
-      name: 'accessToken'
-    });
-    console.log(cookies);
-    if (cookies.length === 0 || !cookies[0].value) {
-      throw new Error('No authentication token available - please log in to YALG');
-    }
-    
-    const authToken = cookies[0].value;
-    
-    // First, get user info from the backend
-    const apiUrl = globalThis.YALG_URLS?.API_USERS_ME || `${config.apiBaseUrl}/users/me`;
-    const userResponse = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${authToken}`
-      }
-    });
-    
-    if (!userResponse.ok) {
-      throw new Error(`Failed to get user info: ${userResponse.status}`);
-    }
-    
-    const userData = await userResponse.json();
-    console.log(`YALG Extension: Retrieved user data for element ${elementData.id}`);
-    
-    // Prepare headers for post queue request
-    const headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${authToken}`
-    };
-    
-    // Send individual HTML element to queue for background processing
-    const queueApiUrl = globalThis.YALG_URLS?.API_POSTS_QUEUE || `${config.apiBaseUrl}/posts/queue`;
-    const requestBody = {
-      userId: userData.id, // Use the UUID from /users/me
-      htmlContent: elementData.html
+    // Update configuration from frontend
+    await ConfigService.updateConfig(data);
+    const authConfig = await saveAuthConfig(data);
+
+    console.log('YALG Extension: Configuration updated', { userId: authConfig.userId });
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('YALG Extension: Error updating configuration', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Mirror credentials into the auth_config format TokenManager reads
+async function saveAuthConfig(data) {
+  const authConfig = {
+    authToken: data.authToken,
+    userId: data.userId,
+    frontendUrl: data.frontendUrl || URLS.FRONTEND_BASE,
+    backendUrl: data.backendUrl || data.apiBaseUrl || URLS.BACKEND_BASE,
+    lastValidated: Date.now()
+  };
+
+  await StorageService.set('auth_config', authConfig);
+  return authConfig;
+}
+
+async function handleStartSync(data = {}, sendResponse) {
+  try {
+    console.log('YALG Extension: Starting sync process', data);
+
+    // Filters and source apply to this run only, so a run without them falls back to defaults.
+    // The stored config is what an auto-started content script picks up.
+    const config = {
+      ...(await ConfigService.getConfig()),
+      ...data,
+      filters: data.filters || null,
+      source: data.source || COLLECTION_SOURCES.ALL
     };
-    
-    console.log(`YALG Extension: Making API request to ${queueApiUrl} for element ${elementData.id} with user ${userData.id}`);
-    
-    const response = await fetch(queueApiUrl, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(requestBody)
+    await ConfigService.updateConfig(config);
+    await saveAuthConfig(data);
+
+    const sync = await syncService.startSync(config);
+    sendResponse({ success: true, message: 'Started scraping on the LinkedIn recent activity tab', sync });
+  } catch (error) {
+    console.error('YALG Extension: Error in handleStartSync', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handlePauseSync(paused, sendResponse) {
+  try {
+    const success = paused ? await syncService.pauseSync() : await syncService.resumeSync();
+    sendResponse({
+      success,
+      sync: syncService.getCurrentSyncStatus(),
+      ...(success ? {} : { error: 'No sync in progress' })
     });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`YALG Extension: API request failed for element ${elementData.id}:`, {
-        status: response.status,
-        statusText: response.statusText,
-        errorResponse: errorText
+  } catch (error) {
+    console.error(`YALG Extension: Error ${paused ? 'pausing' : 'resuming'} sync`, error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleCancelSync(sendResponse) {
+  try {
+    const cancelled = await syncService.cancelSync();
+    sendResponse({ success: cancelled, sync: syncService.getCurrentSyncStatus() });
+
+    if (cancelled) {
+      chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.SYNC_COMPLETE,
+        data: { success: false, error: 'Cancelled by user' }
       });
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
     }
-    
-    const result = await response.json();
-    console.log(`YALG Extension: Element ${elementData.id} successfully processed by API`);
-    
-    // Send success response back to content script
-    sendResponse({ 
-      success: true, 
-      elementId: elementData.id, 
-      result: result 
-    });
-    
+  } catch (error) {
+    console.error('YALG Extension: Error cancelling sync', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleGetSchedule(sendResponse) {
+  try {
+    sendResponse({ success: true, schedule: await scheduler.getStatus() });
+  } catch (error) {
+    console.error('YALG Extension: Error reading sync schedule', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleSetSchedule(data, sendResponse) {
+  try {
+    const schedule = await scheduler.setSchedule(data || {});
+    console.log('YALG Extension: Sync schedule updated', schedule.frequency);
+    sendResponse({ success: true, schedule });
+  } catch (error) {
+    console.error('YALG Extension: Error updating sync schedule', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Posts go through the durable upload queue: the first attempt happens right away,
+// failures stay queued for backoff retries even if the LinkedIn tab is closed
+async function handleSingleHTMLElement(elementData, sendResponse) {
+  try {
+    console.log(`YALG Extension: Processing single HTML element ${elementData.id}`);
+    sendResponse(await syncService.processElement(elementData));
   } catch (error) {
     console.error(`YALG Extension: Error processing HTML element ${elementData.id}:`, error);
-    
+
     // Send error response back to content script
-    sendResponse({ 
-      success: false, 
-      elementId: elementData.id, 
-      error: error.message 
+    sendResponse({
+      success: false,
+      elementId: elementData.id,
+      error: error.message
     });
   }
 }
 
-async function handleStartSync(data, sendResponse) {
+// A chunk of posts from the content script: queued durably, then uploaded in
+// adaptive bulk batches. Every post gets its own result.
+async function handleHTMLBatch(data, sendResponse) {
+  const elements = data?.elements || [];
+
   try {
-    console.log('YALG Extension: Starting sync process', data);
-    
-    // Store the configuration in both formats for compatibility
-    config = { ...config, ...data };
-    
-    // Save to both storage formats
-    const authConfig = {
-      authToken: data.authToken,
-      userId: data.userId,
-      frontendUrl: data.frontendUrl || 'http://localhost:3400',
-      backendUrl: data.backendUrl || data.apiBaseUrl || 'http://localhost:3000',
-      lastValidated: Date.now()
-    };
-    
-    await chrome.storage.local.set({ 
-      config: config,
-      auth_config: authConfig
-    });
-    
-    // Check if we're already on the LinkedIn recent activity page
-    const tabs = await chrome.tabs.query({ 
-      url: '*://www.linkedin.com/in/me/recent-activity/all/*',
-      active: true,
-      currentWindow: true
+    console.log(`YALG Extension: Processing batch of ${elements.length} HTML elements`);
+    sendResponse({ success: true, results: await syncService.processBatch(elements) });
+  } catch (error) {
+    console.error('YALG Extension: Error processing HTML batch:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// A single post saved from its "Save to YALG" button. It isn't part of a sync,
+// so it goes straight to the upload pipeline and stays out of the session stats.
+async function handleSavePost(elementData, sendResponse) {
+  try {
+    console.log(`YALG Extension: Saving post ${elementData.id}`);
+    sendResponse(await syncService.uploads.processElement(elementData));
+  } catch (error) {
+    console.error(`YALG Extension: Error saving post ${elementData.id}:`, error);
+    sendResponse({
+      success: false,
+      elementId: elementData.id,
+      error: error.message
     });
-    
-    if (tabs.length > 0) {
-      // We're on the LinkedIn recent activity page, start scraping
-      chrome.tabs.sendMessage(tabs[0].id, {
-        type: 'START_SCRAPING',
-        config: config
-      });
-      sendResponse({ success: true, message: 'Started scraping on current LinkedIn recent activity tab' });
-    } else {
-              // Navigate to LinkedIn recent activity page
-        const newTab = await chrome.tabs.create({ 
-          url: globalThis.YALG_URLS?.LINKEDIN_RECENT_ACTIVITY || 'https://www.linkedin.com/in/me/recent-activity/all/',
-          active: true 
-        });
-      
-      // Wait for tab to load and start scraping
-      chrome.tabs.onUpdated.addListener(function listener(tabId, changeInfo) {
-        if (tabId === newTab.id && changeInfo.status === 'complete') {
-          chrome.tabs.onUpdated.removeListener(listener);
-          setTimeout(() => {
-            chrome.tabs.sendMessage(newTab.id, {
-              type: 'START_SCRAPING',
-              config: config
-            });
-          }, 3000); // Wait a bit longer for LinkedIn recent activity page to fully load
-        }
-      });
-      
-      sendResponse({ success: true, message: 'Opened LinkedIn recent activity page and will start scraping' });
-    }
+  }
+}
+
+// Someone else's post for the swipe file; never goes through the user's own post import
+async function handleSaveInspiration(data, sendResponse) {
+  try {
+    console.log(`YALG Extension: Saving post ${data?.post?.id} as inspiration`);
+    sendResponse({ success: true, result: await inspirations.save(data) });
   } catch (error) {
-    console.error('YALG Extension: Error in handleStartSync', error);
+    console.error('YALG Extension: Error saving inspiration:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-function handleScrapingError(error, sendResponse) {
+// Fill LinkedIn's share box with a draft; the user reviews it and presses Post
+async function handleOpenDraft(data, sendResponse) {
+  try {
+    const opened = await composer.openDraft(data);
+    console.log('YALG Extension: Draft opened in LinkedIn', opened);
+    sendResponse({ success: true, ...opened });
+  } catch (error) {
+    console.error('YALG Extension: Error opening draft in LinkedIn:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleDraftPublished(data, sendResponse) {
+  try {
+    await composer.reportPublished(data);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('YALG Extension: Error reporting published draft:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleGetUploadQueue(sendResponse) {
+  try {
+    sendResponse({ success: true, queue: await UploadQueue.getSummary() });
+  } catch (error) {
+    console.error('YALG Extension: Error reading upload queue:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleRetryFailedUploads(data, sendResponse) {
+  try {
+    const requeued = await UploadQueue.retry(data?.ids || null);
+    console.log(`YALG Extension: Requeued ${requeued} failed upload(s)`);
+    sendResponse({ success: true, requeued, queue: await UploadQueue.getSummary() });
+
+    // Don't wait for the alarm when the user asked for a retry
+    syncService.uploads.processDue();
+  } catch (error) {
+    console.error('YALG Extension: Error retrying failed uploads:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleDiscardFailedUploads(data, sendResponse) {
+  try {
+    const discarded = await UploadQueue.discard(data?.ids || null);
+    console.log(`YALG Extension: Discarded ${discarded} failed upload(s)`);
+    sendResponse({ success: true, discarded, queue: await UploadQueue.getSummary() });
+  } catch (error) {
+    console.error('YALG Extension: Error discarding failed uploads:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleMetricSnapshots(data, sendResponse) {
+  try {
+    const result = await syncService.uploads.sendMetricSnapshots(data?.snapshots || []);
+    sendResponse({ success: true, result });
+  } catch (error) {
+    console.error('YALG Extension: Error sending engagement snapshots:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleSeenPosts(data, sendResponse) {
+  try {
+    const possiblyRemoved = await syncService.uploads.reportSeenPosts(data);
+    sendResponse({ success: true, possiblyRemoved });
+  } catch (error) {
+    // Best-effort: unreported posts are found again by the next sync
+    console.error('YALG Extension: Error reporting possibly removed posts:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleScrapingComplete(summary, sendResponse) {
+  await syncService.handleSyncCompletion(summary || {});
+
+  // Forward completion status to popup if it's open
+  chrome.runtime.sendMessage({ type: MESSAGE_TYPES.SYNC_COMPLETE, data: summary });
+  sendResponse({ success: true });
+}
+
+async function handleScrapingError(error, sendResponse) {
   console.error('YALG Extension: Scraping error', error);
-  
+  await syncService.handleSyncError(error);
+
   // Notify popup of error
   chrome.runtime.sendMessage({
-    type: 'SYNC_COMPLETE',
+    type: MESSAGE_TYPES.SYNC_COMPLETE,
     data: { success: false, error: error }
   });
-  
+
   sendResponse({ success: false, error: error });
 }
-
-
-
-// Extension lifecycle
-chrome.runtime.onInstalled.addListener((details) => {
-  console.log('YALG Extension: Installed/Updated', details);
-});
-
-chrome.runtime.onStartup.addListener(() => {
-  console.log('YALG Extension: Started');
-}); 
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Batch Sizer
+ * Decides how many queued posts go into the next `/posts/bulk` request.
+ * Batches are capped by payload bytes, grow while the backend answers
+ * quickly, and shrink when it slows down, fails or rate-limits (429).
+ */
+
+import { BULK_UPLOAD, RETRY_POLICY } from '../shared/constants.module.js';
+
+export class BatchSizer {
+  /**
+   * @param {Object} limits - BULK_UPLOAD, or overrides of it
+   */
+  constructor(limits = {}) {
+    const { MIN_BATCH_SIZE, MAX_BATCH_SIZE, MAX_BATCH_BYTES, TARGET_LATENCY, INITIAL_BATCH_SIZE } = { ...BULK_UPLOAD, ...limits };
+    this.minSize = MIN_BATCH_SIZE;
+    this.maxSize = MAX_BATCH_SIZE;
+    this.maxBytes = MAX_BATCH_BYTES;
+    this.targetLatency = TARGET_LATENCY;
+    this.size = INITIAL_BATCH_SIZE;
+    this.cooldownUntil = 0;
+  }
+
+  /**
+   * Take the next batch from the front of a list of queued items.
+   * Always takes at least one item, even if it alone exceeds the byte cap.
+   * @param {Array<Object>} items - Queued items with a `payload`
+   * @returns {Object} `{ batch, bytes }`
+   */
+  take(items) {
+    const batch = [];
+    let bytes = 0;
+
+    for (const item of items) {
+      if (batch.length >= this.size) {
+        break;
+      }
+
+      const itemBytes = BatchSizer.byteLength(item.payload);
+      if (batch.length > 0 && bytes + itemBytes > this.maxBytes) {
+        break;
+      }
+
+      batch.push(item);
+      bytes += itemBytes;
+    }
+
+    return { batch, bytes };
+  }
+
+  /**
+   * Adjust after a successful request
+   * @param {number} latency - Request duration in milliseconds
+   * @param {number} count - Items in the batch
+   */
+  recordSuccess(latency, count) {
+    if (latency > this.targetLatency) {
+      this._resize(Math.floor(this.size * 0.75));
+    } else if (latency < this.targetLatency / 2 && count >= this.size) {
+      // Only grow when the batch was actually full, otherwise the size wasn't the limit
+      this._resize(this.size + Math.max(1, Math.ceil(this.size / 2)));
+    }
+  }
+
+  /**
+   * Back off after a 429
+   * @param {number|null} retryAfter - Server-suggested wait in milliseconds
+   */
+  recordRateLimited(retryAfter = null) {
+    this._resize(Math.floor(this.size / 2));
+    this.cooldownUntil = Date.now() + (retryAfter || RETRY_POLICY.BASE_DELAY);
+  }
+
+  /**
+   * Shrink after a failed request (server error, timeout, network)
+   */
+  recordFailure() {
+    this._resize(Math.floor(this.size / 2));
+  }
+
+  /**
+   * Time left before the backend should be called again after a 429
+   * @returns {number} Milliseconds, 0 when not cooling down
+   */
+  cooldownRemaining() {
+    return Math.max(0, this.cooldownUntil - Date.now());
+  }
+
+  /**
+   * Size of a payload once serialized for the request body
+   * @param {*} value - Payload
+   * @returns {number} Bytes
+   */
+  static byteLength(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+  }
+
+  _resize(size) {
+    this.size = Math.min(this.maxSize, Math.max(this.minSize, size));
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Fingerprint Store
+ * Remembers the content fingerprint (IdempotencyLedger.contentHash) of every
+ * synced post, per checkpoint scope (profile + activity source). A later sync
+ * uses it to tell new posts from edited ones, and to notice synced posts that
+ * no longer show up in a stretch of the feed it fully scanned.
+ */
+
+import { STORAGE_KEYS, IDEMPOTENCY } from '../shared/constants.module.js';
+
+export class FingerprintStore {
+  static STORAGE_KEY = STORAGE_KEYS.POST_FINGERPRINTS;
+
+  static get CHANGE() {
+    return {
+      NEW: 'new',             // never synced
+      UPDATED: 'updated',     // synced before with different content
+      UNCHANGED: 'unchanged', // synced before with the same content
+      BASELINE: 'baseline'    // synced before fingerprints existed (or by an older hash), nothing to compare against
+    };
+  }
+
+  /**
+   * Compare elements against their stored fingerprints
+   * @param {Array<Object>} elements - Elements with `id`, `scope`, `contentHash` and optional `alreadySynced`
+   * @returns {Promise<Map<string, string>>} Element id → one of CHANGE
+   */
+  static async classify(elements) {
+    const store = await this._load();
+    const changes = new Map();
+
+    elements.forEach(element => {
+      const known = store[this._scope(element)]?.[element.id];
+
+      if (!known) {
+        changes.set(element.id, element.alreadySynced ? this.CHANGE.BASELINE : this.CHANGE.NEW);
+      } else if (known.version !== IDEMPOTENCY.HASH_VERSION) {
+        // A hash over different fields says nothing about an edit
+        changes.set(element.id, this.CHANGE.BASELINE);
+      } else {
+        changes.set(element.id, known.hash === element.contentHash ? this.CHANGE.UNCHANGED : this.CHANGE.UPDATED);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Store the fingerprints of posts the backend now has
+   * @param {Array<Object>} elements - Elements with `id`, `scope`, `contentHash` and `post`
+   */
+  static async record(elements) {
+    if (elements.length === 0) {
+      return;
+    }
+
+    await this._update(store => {
+      const now = new Date().toISOString();
+
+      elements.forEach(element => {
+        const scope = this._scope(element);
+        store[scope] = store[scope] || {};
+        store[scope][element.id] = {
+          hash: element.contentHash,
+          version: IDEMPOTENCY.HASH_VERSION,
+          postedAt: element.post?.postedAt || store[scope][element.id]?.postedAt || null,
+          syncedAt: now,
+          lastSeenAt: now,
+          removedReportedAt: null
+        };
+      });
+
+      return store;
+    });
+  }
+
+  /**
+   * Note which synced posts a sync saw, and find the ones it should have seen but didn't.
+   * Only posts dated inside the scanned stretch (`since` until now) are candidates,
+   * and each missing post is returned once until it shows up again.
+   * @param {string} scope - Checkpoint scope of the scan
+   * @param {string[]} seenIds - Ids of every wanted item the scan passed
+   * @param {string|null} since - Oldest `postedAt` the scan reached
+   * @returns {Promise<Array<Object>>} `{ postId, postedAt, lastSeenAt }` per possibly removed post
+   */
+  static async reconcile(scope, seenIds, since) {
+    const missing = [];
+    const seen = new Set(seenIds);
+
+    await this._update(store => {
+      const posts = store[scope] || {};
+      const now = new Date().toISOString();
+
+      Object.entries(posts).forEach(([postId, entry]) => {
+        if (seen.has(postId)) {
+          entry.lastSeenAt = now;
+          entry.removedReportedAt = null;
+          return;
+        }
+
+        if (since && entry.postedAt && entry.postedAt >= since && !entry.removedReportedAt) {
+          missing.push({ postId, postedAt: entry.postedAt, lastSeenAt: entry.lastSeenAt });
+        }
+      });
+
+      return store;
+    });
+
+    return missing;
+  }
+
+  /**
+   * Remember that possibly removed posts were reported, so they aren't reported every sync
+   * @param {string} scope - Checkpoint scope
+   * @param {string[]} postIds - Reported posts
+   */
+  static async markReported(scope, postIds) {
+    const reported = new Set(postIds);
+
+    await this._update(store => {
+      const now = new Date().toISOString();
+      Object.entries(store[scope] || {}).forEach(([postId, entry]) => {
+        if (reported.has(postId)) {
+          entry.removedReportedAt = now;
+        }
+      });
+      return store;
+    });
+  }
+
+  static _scope(element) {
+    return element.scope || 'default';
+  }
+
+  static async _load() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return result[this.STORAGE_KEY] || {};
+  }
+
+  static _update(mutate) {
+    const run = this._lock.then(async () => {
+      const store = await this._load();
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: mutate(store) });
+    });
+
+    this._lock = run.catch(() => {});
+    return run;
+  }
+}
+
+FingerprintStore._lock = Promise.resolve();
@@ -0,0 +1,162 @@
+/**
+ * Idempotency Ledger
+ * Derives an idempotency key per post upload (`<postId>:<content hash>`) and
+ * remembers which keys the backend has acknowledged, so a retried sync or a
+ * second tab never resends content that was already confirmed. The same key
+ * goes out in the `Idempotency-Key` header so the backend can drop duplicates
+ * that race past the ledger.
+ */
+
+import { IDEMPOTENCY, STORAGE_KEYS } from '../shared/constants.module.js';
+
+export class IdempotencyLedger {
+  static HEADER = IDEMPOTENCY.HEADER;
+  static LIMIT = IDEMPOTENCY.LEDGER_LIMIT;
+  static STORAGE_KEY = STORAGE_KEYS.UPLOAD_LEDGER;
+
+  /**
+   * Idempotency key for an element from the content script
+   * @param {Object} element - `{ id, post }`
+   * @returns {Promise<string>} `<postId>:<sha-256 of the post content>`
+   */
+  static async keyFor(element) {
+    return this.toKey(element.id, await this.contentHash(element.post));
+  }
+
+  /**
+   * Idempotency key from an already computed content hash
+   * @param {string} postId - Stable post id
+   * @param {string} contentHash - See contentHash
+   * @returns {string} `<postId>:<contentHash>`
+   */
+  static toKey(postId, contentHash) {
+    return `${postId}:${contentHash}`;
+  }
+
+  /**
+   * Hash of what the author wrote (see authoredContent)
+   * @param {Object} post - Structured post record
+   * @returns {Promise<string>} Hex SHA-256
+   */
+  static async contentHash(post) {
+    return this._sha256(this._stableStringify(this.authoredContent(post)));
+  }
+
+  /**
+   * The part of a post record only an edit by its author can change. Engagement
+   * counts, relative timestamps, the author's headline and how the post was
+   * classified all change between syncs on their own, and so do the signed
+   * `e=`/`t=` parameters of LinkedIn's media links, so media counts by identity only.
+   * @param {Object} post - Structured post record
+   * @returns {Object} Fields the content hash covers
+   */
+  static authoredContent(post) {
+    const {
+      text = '', title = null, subtitle = null, hashtags = [], mentions = [], links = [], media = [], postType = null
+    } = post || {};
+
+    return {
+      text,
+      title,
+      subtitle,
+      hashtags,
+      mentions: mentions.map(mention => mention.profileUrl || mention.name),
+      links,
+      postType,
+      media: media.map(item => ({ type: item.type, id: this.mediaIdentity(item.url), title: item.title || null }))
+    };
+  }
+
+  /**
+   * Stable identity of a media link. LinkedIn CDN links carry the asset id in
+   * their path next to a rendition that depends on the screen (`feedshare-shrink_800`),
+   * and video players often expose a per-page `blob:` URL, which identifies nothing.
+   * @param {string|null} url - Media URL as extracted
+   * @returns {string|null} Asset id, or the URL without query string and fragment
+   */
+  static mediaIdentity(url) {
+    if (!url || url.startsWith('blob:')) {
+      return null;
+    }
+
+    const path = url.split(/[?#]/)[0];
+    return path.match(/\/(?:image|vid)\/(?:v2\/)?([^/]+)\//)?.[1] || path;
+  }
+
+  /**
+   * Header key for a bulk request, derived from the keys of the posts it carries
+   * @param {string[]} keys - Per-post idempotency keys
+   * @returns {Promise<string>} `bulk:<sha-256>`
+   */
+  static async batchKey(keys) {
+    return `bulk:${await this._sha256([...keys].sort().join('\n'))}`;
+  }
+
+  /**
+   * Keys the backend has already confirmed
+   * @param {string[]} keys - Keys to check
+   * @returns {Promise<Set<string>>} The acknowledged subset
+   */
+  static async filterAcknowledged(keys) {
+    const ledger = await this._load();
+    return new Set(keys.filter(key => key in ledger));
+  }
+
+  /**
+   * Record keys the backend confirmed, dropping the oldest past LEDGER_LIMIT
+   * @param {string[]} keys - Acknowledged keys
+   */
+  static async acknowledge(keys) {
+    if (keys.length === 0) {
+      return;
+    }
+
+    const run = this._lock.then(async () => {
+      const ledger = await this._load();
+      const now = Date.now();
+      keys.forEach(key => {
+        ledger[key] = now;
+      });
+
+      const entries = Object.entries(ledger);
+      const trimmed = entries.length > this.LIMIT
+        ? Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, this.LIMIT))
+        : ledger;
+
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: trimmed });
+    });
+
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  static async _load() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return result[this.STORAGE_KEY] || {};
+  }
+
+  static async _sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // JSON with sorted object keys, so equal content always hashes the same
+  static _stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this._stableStringify(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this._stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+
+    return JSON.stringify(value ?? null);
+  }
+}
+
+IdempotencyLedger._lock = Promise.resolve();
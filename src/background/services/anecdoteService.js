@@ -0,0 +1,124 @@
+/**
+ * Anecdote Service
+ * "Save selection to YALG as anecdote" in the context menu of any page. The
+ * selected text, page title and URL become a text anecdote; a notification
+ * confirms it and opens the anecdote in YALG for editing.
+ */
+
+import { URLS } from '../../shared/constants.module.js';
+import { Logger } from '../../shared/utils/logger.js';
+
+export class AnecdoteService {
+  static MENU_ID = 'yalg-save-selection-anecdote';
+
+  // Notification ids carry the anecdote id, so a click still finds it after the worker restarts
+  static NOTIFICATION_PREFIX = 'yalg-anecdote:';
+
+  /**
+   * @param {ApiClient} apiClient - Shared API client
+   * @param {Function} resolveAuth - `async () => ({ userId })`, also sets the client's token
+   */
+  constructor(apiClient, resolveAuth) {
+    this.apiClient = apiClient;
+    this.resolveAuth = resolveAuth;
+    this.logger = Logger.createScoped('ANECDOTE');
+  }
+
+  /**
+   * Add the context menu entry. Menus persist across restarts, so this runs on install and update.
+   */
+  registerContextMenu() {
+    // Creating an id that already exists fails, so start from a clean slate on update
+    chrome.contextMenus.removeAll(() => {
+      chrome.contextMenus.create({
+        id: AnecdoteService.MENU_ID,
+        title: 'Save selection to YALG as anecdote',
+        contexts: ['selection']
+      });
+    });
+  }
+
+  /**
+   * Context menu handler
+   * @param {Object} info - chrome.contextMenus.OnClickData
+   * @param {Object} tab - Tab the menu was opened in
+   */
+  async handleMenuClick(info, tab) {
+    try {
+      const anecdote = await this.saveSelection({
+        text: info.selectionText,
+        title: tab?.title || null,
+        url: info.pageUrl || tab?.url || null
+      });
+      this.notifySaved(anecdote);
+    } catch (error) {
+      this.logger.error('Could not save selection as anecdote', error);
+      this.notifyFailed(error);
+    }
+  }
+
+  /**
+   * Send a text anecdote to the backend
+   * @param {Object} selection - `{ text, title, url }`
+   * @returns {Promise<Object>} `{ anecdoteId, text }`
+   */
+  async saveSelection({ text, title = null, url = null } = {}) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+      throw new Error('No text selected');
+    }
+
+    const auth = await this.resolveAuth();
+    this.logger.info('Saving selection as anecdote', { url });
+
+    const response = await this.apiClient.createTextAnecdote(auth.userId, { text: trimmed, title, url });
+    return { anecdoteId: response.anecdoteId || null, text: trimmed };
+  }
+
+  /**
+   * Confirm the save; clicking the notification or its button opens the anecdote
+   * @param {Object} anecdote - Result of saveSelection
+   */
+  notifySaved({ anecdoteId, text }) {
+    chrome.notifications.create(`${AnecdoteService.NOTIFICATION_PREFIX}${anecdoteId || ''}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'Anecdote saved to YALG',
+      message: text.length > 120 ? `${text.slice(0, 117)}...` : text,
+      contextMessage: 'Click to edit it in YALG',
+      buttons: [{ title: 'Edit in YALG' }]
+    });
+  }
+
+  notifyFailed(error) {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'Could not save the anecdote',
+      // AuthContext and ApiError both carry the HTTP status
+      message: error.status === 401 || error.status === 403
+        ? 'Log in to YALG and try again.'
+        : error.message
+    });
+  }
+
+  /**
+   * Open the anecdote from its notification (body or button click)
+   * @param {string} notificationId - Clicked notification
+   * @returns {boolean} Whether the notification was one of ours
+   */
+  openFromNotification(notificationId) {
+    if (!notificationId.startsWith(AnecdoteService.NOTIFICATION_PREFIX)) {
+      return false;
+    }
+
+    const anecdoteId = notificationId.slice(AnecdoteService.NOTIFICATION_PREFIX.length);
+    chrome.tabs.create({ url: anecdoteId ? this.editUrl(anecdoteId) : URLS.FRONTEND_DASHBOARD });
+    chrome.notifications.clear(notificationId);
+    return true;
+  }
+
+  editUrl(anecdoteId) {
+    return `${URLS.FRONTEND_BASE}/anecdotes/${encodeURIComponent(anecdoteId)}`;
+  }
+}
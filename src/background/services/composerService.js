@@ -0,0 +1,79 @@
+/**
+ * Composer Service
+ * Opens a YALG draft in LinkedIn's "Start a post" share box. The content
+ * script only fills the composer; publishing is always left to the user.
+ * When the user publishes it, the resulting post's URN is reported back.
+ */
+
+import { MESSAGE_TYPES, LINKEDIN_URLS } from '../../shared/constants.module.js';
+import { Logger } from '../../shared/utils/logger.js';
+import { MessageService } from '../../shared/utils/messaging.js';
+
+export class ComposerService {
+  /**
+   * @param {SyncService} syncService - Provides the LinkedIn tab helpers and auth
+   * @param {ApiClient} apiClient - Shared API client
+   */
+  constructor(syncService, apiClient) {
+    this.syncService = syncService;
+    this.apiClient = apiClient;
+    this.logger = Logger.createScoped('COMPOSER');
+  }
+
+  /**
+   * Bring up a LinkedIn feed tab and fill its composer with the draft
+   * @param {Object} draft - `{ text, draftId? }`
+   * @returns {Promise<Object>} `{ tabId, draftId }`
+   */
+  async openDraft({ text, draftId = null } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('The draft has no text');
+    }
+
+    const tabId = await this.ensureFeedTab();
+    this.logger.info('Filling the LinkedIn composer', { tabId, draftId });
+
+    const response = await MessageService.sendToContent(tabId, MESSAGE_TYPES.FILL_COMPOSER, { text, draftId });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not open the LinkedIn composer');
+    }
+
+    return { tabId, draftId };
+  }
+
+  /**
+   * Tell the backend which LinkedIn post a draft became
+   * @param {Object} publication - `{ draftId, urn, publishedAt, url }` from the content script
+   * @returns {Promise<Object>} API response
+   */
+  async reportPublished({ draftId, urn, publishedAt, url = null } = {}) {
+    if (!draftId || !urn) {
+      throw new Error('A published draft needs a draft id and a post URN');
+    }
+
+    const auth = await this.syncService.resolveAuth();
+    this.logger.info(`Draft ${draftId} published as ${urn}`);
+    return this.apiClient.reportDraftPublished(auth.userId, draftId, { urn, publishedAt, url });
+  }
+
+  /**
+   * Focus an open LinkedIn feed tab, or open one. The share box only lives on the feed.
+   * @returns {Promise<number>} Tab ID
+   */
+  async ensureFeedTab() {
+    const [feedTab] = await chrome.tabs.query({ url: '*://*.linkedin.com/feed/*' });
+
+    if (feedTab) {
+      this.logger.debug('Using existing LinkedIn feed tab', { tabId: feedTab.id });
+      await chrome.tabs.update(feedTab.id, { active: true });
+      await chrome.windows.update(feedTab.windowId, { focused: true });
+      return feedTab.id;
+    }
+
+    this.logger.info('Opening LinkedIn feed tab');
+    const tab = await chrome.tabs.create({ url: LINKEDIN_URLS.FEED, active: true });
+    await this.syncService.waitForTabLoad(tab.id);
+    await this.syncService.assertLoggedIn(tab.id);
+    return tab.id;
+  }
+}
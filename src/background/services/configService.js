@@ -3,7 +3,7 @@
  * Manages extension configuration and settings
  */
 
-import { DEFAULT_CONFIG, STORAGE_KEYS } from '../../shared/constants.js';
+import { DEFAULT_CONFIG, STORAGE_KEYS } from '../../shared/constants.module.js';
 import { StorageService } from '../../shared/utils/storage.js';
 import { Logger } from '../../shared/utils/logger.js';
 
@@ -0,0 +1,80 @@
+/**
+ * Inspiration Service
+ * Saves other people's LinkedIn posts to the user's YALG swipe file through
+ * `/inspirations`. Kept apart from UploadService: these aren't the user's own
+ * posts, so they skip the upload queue, fingerprints and checkpoints entirely.
+ */
+
+import { Logger } from '../../shared/utils/logger.js';
+
+export class InspirationService {
+  static NOTE_MAX_LENGTH = 2000;
+  static TAGS_LIMIT = 20;
+
+  /**
+   * @param {ApiClient} apiClient - Shared API client
+   * @param {Function} resolveAuth - `async () => ({ userId })`, also sets the client's token
+   */
+  constructor(apiClient, resolveAuth) {
+    this.apiClient = apiClient;
+    this.resolveAuth = resolveAuth;
+    this.logger = Logger.createScoped('INSPIRATION');
+  }
+
+  /**
+   * Save a post to the swipe file
+   * @param {Object} data - `{ post, note?, tags?, url? }` from the content script
+   * @returns {Promise<Object>} API response
+   */
+  async save({ post, note = null, tags = [], url = null } = {}) {
+    if (!post?.id) {
+      throw new Error('No post to save as inspiration');
+    }
+
+    const auth = await this.resolveAuth();
+    const inspiration = InspirationService.toInspirationBody(post, note, tags, url);
+
+    this.logger.info(`Saving ${post.id} as inspiration`, { tags: inspiration.tags });
+    return this.apiClient.saveInspiration(auth.userId, inspiration);
+  }
+
+  /**
+   * Request body for /inspirations. Only what a writer studies is sent, not
+   * the full post record.
+   * @param {Object} post - Extracted post record (see PostExtractor.extract)
+   * @param {string|null} note - The user's note
+   * @param {Array<string>} tags - The user's tags
+   * @param {string|null} url - Page the post was saved from
+   * @returns {Object} `{ postId, urn, author, text, mediaType, media, hashtags, metrics, postedAt, note, tags, sourceUrl, savedAt }`
+   */
+  static toInspirationBody(post, note, tags, url) {
+    return {
+      postId: post.id,
+      urn: post.urn || null,
+      author: post.author || null,
+      text: post.text || '',
+      mediaType: post.postType || null,
+      media: post.media || [],
+      hashtags: post.hashtags || [],
+      metrics: post.metrics || null,
+      postedAt: post.postedAt || null,
+      note: note?.trim().slice(0, InspirationService.NOTE_MAX_LENGTH) || null,
+      tags: InspirationService.normalizeTags(tags),
+      sourceUrl: url,
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Lowercase, without a leading `#`, deduplicated
+   * @param {Array<string>} tags - Tags as typed
+   * @returns {Array<string>} Tags
+   */
+  static normalizeTags(tags) {
+    const normalized = (Array.isArray(tags) ? tags : [])
+      .map(tag => String(tag).trim().replace(/^#+/, '').toLowerCase())
+      .filter(Boolean);
+
+    return [...new Set(normalized)].slice(0, InspirationService.TAGS_LIMIT);
+  }
+}
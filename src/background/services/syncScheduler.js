@@ -0,0 +1,247 @@
+/**
+ * Sync Scheduler
+ * Optional recurring syncs (daily, weekly or a custom interval) driven by
+ * chrome.alarms. Each run opens LinkedIn in an unfocused window of its own,
+ * runs an incremental sync through SyncService and closes the window when the
+ * session ends; the run is recorded in the sync history with `trigger: 'scheduled'`.
+ * While LinkedIn is signed out, runs are retried on a growing backoff
+ * instead of waiting for the next regular run.
+ */
+
+import {
+  SYNC_SCHEDULE,
+  STORAGE_KEYS,
+  SYNC_MODES,
+  COLLECTION_SOURCES,
+  ERROR_CODES,
+  LINKEDIN_URLS
+} from '../../shared/constants.module.js';
+import { Logger } from '../../shared/utils/logger.js';
+import { StorageService } from '../../shared/utils/storage.js';
+import { ConfigService } from './configService.js';
+
+const DEFAULT_SCHEDULE = {
+  frequency: SYNC_SCHEDULE.FREQUENCIES.OFF,
+  intervalMinutes: null, // custom frequency only
+  source: COLLECTION_SOURCES.ALL,
+  nextRunAt: null,
+  lastRun: null,         // { at, status, sessionId?, error? }
+  loggedOutAttempts: 0
+};
+
+export class SyncScheduler {
+  static ALARM_NAME = SYNC_SCHEDULE.ALARM_NAME;
+
+  static RUN_STATUS = {
+    STARTED: 'started',
+    BUSY: 'busy',             // another sync was running, retried soon
+    LOGGED_OUT: 'logged_out', // LinkedIn signed out, retried on backoff
+    FAILED: 'failed'
+  };
+
+  /**
+   * @param {SyncService} syncService - Runs the scheduled syncs
+   */
+  constructor(syncService) {
+    this.syncService = syncService;
+    this.logger = Logger.createScoped('SCHEDULE');
+  }
+
+  /**
+   * Stored schedule settings and run state
+   * @returns {Promise<Object>} See DEFAULT_SCHEDULE
+   */
+  async getSchedule() {
+    return { ...DEFAULT_SCHEDULE, ...(await StorageService.get(STORAGE_KEYS.SYNC_SCHEDULE, {})) };
+  }
+
+  /**
+   * Schedule plus the session its last run started, for the popup and the frontend
+   * @returns {Promise<Object>} Schedule with `lastSync` (status or history entry, or null)
+   */
+  async getStatus() {
+    await this.syncService.ready;
+    const schedule = await this.getSchedule();
+    const sessionId = schedule.lastRun?.sessionId;
+    const current = this.syncService.getCurrentSyncStatus();
+
+    let lastSync = null;
+    if (sessionId && current?.id === sessionId) {
+      lastSync = current;
+    } else if (sessionId) {
+      lastSync = this.syncService.getSyncHistory(Infinity).find(entry => entry.id === sessionId) || null;
+    }
+
+    const { loggedOutAttempts, ...status } = schedule;
+    return { ...status, lastSync };
+  }
+
+  /**
+   * Change the schedule. The first run is one interval from now.
+   * @param {Object} settings - `{ frequency, intervalMinutes?, source? }`
+   * @returns {Promise<Object>} See getStatus
+   */
+  async setSchedule({ frequency, intervalMinutes = null, source = null } = {}) {
+    const { FREQUENCIES, MIN_INTERVAL_MINUTES } = SYNC_SCHEDULE;
+
+    if (!Object.values(FREQUENCIES).includes(frequency)) {
+      throw new Error(`Unknown schedule frequency: ${frequency}`);
+    }
+
+    const custom = frequency === FREQUENCIES.CUSTOM;
+    const minutes = custom ? Number(intervalMinutes) : null;
+    if (custom && !(minutes >= MIN_INTERVAL_MINUTES)) {
+      throw new Error(`A custom schedule needs an interval of at least ${MIN_INTERVAL_MINUTES} minutes`);
+    }
+
+    const schedule = {
+      ...(await this.getSchedule()),
+      frequency,
+      intervalMinutes: minutes,
+      source: source || COLLECTION_SOURCES.ALL,
+      loggedOutAttempts: 0
+    };
+
+    const enabled = frequency !== FREQUENCIES.OFF;
+    await this.arm(schedule, enabled ? Date.now() + this.intervalMinutes(schedule) * 60 * 1000 : null);
+
+    this.logger.info(enabled ? `Scheduled syncs every ${this.intervalMinutes(schedule)} minutes` : 'Scheduled syncs turned off');
+    return this.getStatus();
+  }
+
+  /**
+   * Recreate the alarm if Chrome dropped it (extension update, browser restart).
+   * A run missed while the browser was closed happens shortly after startup.
+   */
+  async ensureAlarm() {
+    const schedule = await this.getSchedule();
+    if (schedule.frequency === SYNC_SCHEDULE.FREQUENCIES.OFF) {
+      return;
+    }
+
+    if (!(await chrome.alarms.get(SyncScheduler.ALARM_NAME))) {
+      await this.arm(schedule, Math.max(schedule.nextRunAt || 0, Date.now() + 60 * 1000));
+    }
+  }
+
+  /**
+   * Alarm handler: start a scheduled incremental sync in a window of its own
+   * @returns {Promise<void>}
+   */
+  async run() {
+    const schedule = await this.getSchedule();
+    if (schedule.frequency === SYNC_SCHEDULE.FREQUENCIES.OFF) {
+      return;
+    }
+
+    await this.syncService.ready;
+    const current = this.syncService.getCurrentSyncStatus();
+    if (current && !current.completed) {
+      this.logger.info('A sync is already running, scheduled sync postponed');
+      return this.recordRun(schedule, { status: SyncScheduler.RUN_STATUS.BUSY }, SYNC_SCHEDULE.BUSY_RETRY_MINUTES);
+    }
+
+    if (!(await this.isLinkedInSignedIn())) {
+      return this.recordLoggedOut(schedule);
+    }
+
+    try {
+      this.logger.info('Starting scheduled sync');
+      const sync = await this.syncService.startSync({
+        ...(await ConfigService.getConfig()),
+        syncMode: SYNC_MODES.INCREMENTAL,
+        source: schedule.source,
+        filters: null,
+        trigger: 'scheduled',
+        background: true
+      });
+
+      await this.recordRun(
+        { ...schedule, loggedOutAttempts: 0 },
+        { status: SyncScheduler.RUN_STATUS.STARTED, sessionId: sync.id },
+        this.intervalMinutes(schedule)
+      );
+    } catch (error) {
+      if (error.code === ERROR_CODES.LINKEDIN_LOGGED_OUT) {
+        return this.recordLoggedOut(schedule, error.message);
+      }
+
+      this.logger.error('Scheduled sync could not start', error);
+      await this.recordRun(
+        schedule,
+        { status: SyncScheduler.RUN_STATUS.FAILED, error: error.message },
+        this.intervalMinutes(schedule)
+      );
+    }
+  }
+
+  /**
+   * LinkedIn's session cookie is the cheap check; SyncService also notices a
+   * redirect to the sign-in page once the tab has loaded
+   * @returns {Promise<boolean>}
+   */
+  async isLinkedInSignedIn() {
+    try {
+      const cookie = await chrome.cookies.get({ url: LINKEDIN_URLS.FEED, name: 'li_at' });
+      return Boolean(cookie?.value);
+    } catch (error) {
+      this.logger.warn('Could not read LinkedIn session cookie', error);
+      return true;
+    }
+  }
+
+  /**
+   * Retry a signed-out run after LOGGED_OUT_RETRY_MINUTES, doubling per attempt
+   * up to the schedule's own interval
+   * @param {Object} schedule - Current schedule
+   * @param {string|null} reason - Error message, if a tab found LinkedIn signed out
+   */
+  async recordLoggedOut(schedule, reason = null) {
+    const attempts = schedule.loggedOutAttempts + 1;
+    const delay = Math.min(
+      SYNC_SCHEDULE.LOGGED_OUT_RETRY_MINUTES * 2 ** (attempts - 1),
+      this.intervalMinutes(schedule)
+    );
+
+    this.logger.warn(`LinkedIn is signed out, retrying the scheduled sync in ${delay} minutes`);
+    await this.recordRun(
+      { ...schedule, loggedOutAttempts: attempts },
+      { status: SyncScheduler.RUN_STATUS.LOGGED_OUT, error: reason || 'LinkedIn is signed out' },
+      delay
+    );
+  }
+
+  /**
+   * Store the outcome of a run and set the alarm for the next one
+   * @param {Object} schedule - Schedule to store
+   * @param {Object} lastRun - `{ status, sessionId?, error? }`
+   * @param {number} delayMinutes - Time until the next run
+   */
+  async recordRun(schedule, lastRun, delayMinutes) {
+    await this.arm({ ...schedule, lastRun: { at: Date.now(), ...lastRun } }, Date.now() + delayMinutes * 60 * 1000);
+  }
+
+  /**
+   * Persist the schedule and point the alarm at its next run
+   * @param {Object} schedule - Schedule to store
+   * @param {number|null} nextRunAt - Timestamp, or null to stop scheduling
+   */
+  async arm(schedule, nextRunAt) {
+    await StorageService.set(STORAGE_KEYS.SYNC_SCHEDULE, { ...schedule, nextRunAt });
+    await chrome.alarms.clear(SyncScheduler.ALARM_NAME);
+
+    if (nextRunAt) {
+      await chrome.alarms.create(SyncScheduler.ALARM_NAME, { when: nextRunAt });
+    }
+  }
+
+  /**
+   * @param {Object} schedule - Schedule settings
+   * @returns {number} Minutes between regular runs
+   */
+  intervalMinutes(schedule) {
+    return schedule.frequency === SYNC_SCHEDULE.FREQUENCIES.CUSTOM
+      ? schedule.intervalMinutes
+      : SYNC_SCHEDULE.INTERVAL_MINUTES[schedule.frequency];
+  }
+}
@@ -1,69 +1,318 @@
 /**
  * Sync Service
- * Manages the synchronization process between LinkedIn and YALG backend
+ * Manages the synchronization process between LinkedIn and YALG backend.
+ * Owns the sync session from START_SYNC until the content script reports
+ * completion, an error or a cancel, and records it in the sync history.
+ *
+ * The session is a state machine (see TRANSITIONS) persisted to storage on
+ * every change, because MV3 stops an idle service worker mid-sync. A woken
+ * worker rehydrates it before handling any message, so the popup and the
+ * overlay always see the real state.
  */
 
-import { MESSAGE_TYPES, LINKEDIN_URLS, SYNC_PHASES } from '../../shared/constants.js';
+import {
+  MESSAGE_TYPES,
+  STORAGE_KEYS,
+  LINKEDIN_URLS,
+  SYNC_PHASES,
+  COLLECTION_SOURCES,
+  POST_EVENTS,
+  ERROR_CODES
+} from '../../shared/constants.module.js';
 import { Logger } from '../../shared/utils/logger.js';
 import { MessageService } from '../../shared/utils/messaging.js';
 import { StorageService } from '../../shared/utils/storage.js';
+import { AuthContext } from '../authContext.js';
+import { UploadQueue } from '../uploadQueue.js';
+import { UploadService } from './uploadService.js';
+
+// Phases a session may move to from each phase. COLLECTING and QUEUEING alternate
+// while the content script scrolls and uploads; PROCESSING means it is done and
+// the background is finalizing the run.
+const TRANSITIONS = {
+  [SYNC_PHASES.INITIALIZING]: [SYNC_PHASES.COLLECTING, SYNC_PHASES.ERROR],
+  [SYNC_PHASES.COLLECTING]: [SYNC_PHASES.QUEUEING, SYNC_PHASES.PROCESSING, SYNC_PHASES.ERROR],
+  [SYNC_PHASES.QUEUEING]: [SYNC_PHASES.COLLECTING, SYNC_PHASES.PROCESSING, SYNC_PHASES.ERROR],
+  [SYNC_PHASES.PROCESSING]: [SYNC_PHASES.COMPLETED, SYNC_PHASES.ERROR],
+  [SYNC_PHASES.COMPLETED]: [],
+  [SYNC_PHASES.ERROR]: []
+};
+
+// Where LinkedIn sends a signed-out visitor
+const LOGGED_OUT_PATHS = /linkedin\.com\/(login|authwall|signup|uas\/login|checkpoint)/;
+
+// Progress phases reported by the content script
+const CONTENT_PHASES = {
+  collecting: SYNC_PHASES.COLLECTING,
+  backfilling: SYNC_PHASES.COLLECTING,
+  queueing: SYNC_PHASES.QUEUEING
+};
 
 export class SyncService {
+  static HISTORY_LIMIT = 50;
+
+  // Failed posts kept per session for the popup's drill-down; stats count all of them
+  static FAILURE_LIMIT = 100;
+
+  // An active session without any update for this long was lost with its tab or worker
+  static STALE_AFTER = 10 * 60 * 1000;
+
+  static TRANSITIONS = TRANSITIONS;
+
   constructor(apiClient) {
     this.apiClient = apiClient;
     this.logger = Logger.createScoped('SYNC');
     this.currentSync = null;
     this.syncHistory = [];
+    this.uploads = new UploadService(apiClient, () => this.resolveAuth());
+
+    // Token and user are cached per sync session; a 401 drops them for the next lookup
+    this.apiClient.options.onUnauthorized = () => AuthContext.invalidate();
+
+    // Callers await this before reading or changing the session
+    this.ready = this.restore();
+  }
+
+  /**
+   * Rehydrate the session and history persisted by a previous worker. An active
+   * session whose tab is gone can't finish anymore and is closed as interrupted.
+   * @returns {Promise<void>}
+   */
+  async restore() {
+    const stored = await StorageService.getMultiple([STORAGE_KEYS.SYNC_SESSION, STORAGE_KEYS.SYNC_HISTORY]);
+    this.currentSync = stored[STORAGE_KEYS.SYNC_SESSION] || null;
+    this.syncHistory = stored[STORAGE_KEYS.SYNC_HISTORY] || [];
+
+    if (!this.currentSync || this.currentSync.completed) {
+      return;
+    }
+
+    this.logger.info('Restored active sync session', { sessionId: this.currentSync.id, phase: this.currentSync.phase });
+
+    if (!(await this.isTabOpen(this.currentSync.tabId))) {
+      await this.finishSession(SYNC_PHASES.ERROR, 'Sync interrupted: the LinkedIn tab was closed');
+    }
+  }
+
+  /**
+   * Move the current session to another phase, persist it and tell the popup and overlay.
+   * Moves TRANSITIONS doesn't allow are ignored.
+   * @param {string} phase - One of SYNC_PHASES
+   * @returns {Promise<boolean>} Whether the session moved
+   */
+  async transition(phase) {
+    const session = this.currentSync;
+    if (!session || session.phase === phase) {
+      return false;
+    }
+
+    if (!TRANSITIONS[session.phase]?.includes(phase)) {
+      this.logger.warn(`Ignoring sync transition ${session.phase} -> ${phase}`, { sessionId: session.id });
+      return false;
+    }
+
+    session.phase = phase;
+    session.completed = TRANSITIONS[phase].length === 0;
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Write the current session to storage and broadcast its status
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    if (!this.currentSync) {
+      return;
+    }
+
+    this.currentSync.updatedAt = Date.now();
+    await StorageService.set(STORAGE_KEYS.SYNC_SESSION, this.currentSync);
+    this.broadcast();
+  }
+
+  /**
+   * Send the current status to the popup and to the overlay in the sync's tab
+   */
+  broadcast() {
+    const message = { type: MESSAGE_TYPES.SYNC_STATE_CHANGED, data: this.getCurrentSyncStatus() };
+
+    // Nobody may be listening: the popup is closed or the tab went away
+    chrome.runtime.sendMessage(message).catch(() => {});
+    if (this.currentSync.tabId) {
+      chrome.tabs.sendMessage(this.currentSync.tabId, message).catch(() => {});
+    }
   }
 
   /**
-   * Start synchronization process
+   * Resolve the auth context for API calls made during this sync
+   * @param {Object} options - `{ force }` to bypass the cached context
+   * @returns {Promise<Object>} Auth context `{ authToken, userId, user }`
+   */
+  async resolveAuth(options = {}) {
+    const context = await AuthContext.resolve(options);
+    this.apiClient.setAuthToken(context.authToken);
+    return context;
+  }
+
+  /**
+   * Start synchronization process. Resolves once the content script has started
+   * collecting; the session completes when it reports back (see handleSyncCompletion).
    * @param {Object} config - Sync configuration
-   * @returns {Promise<Object>} Sync result
+   * @returns {Promise<Object>} Current sync status
    */
   async startSync(config) {
-    try {
-      this.logger.info('Starting sync process', config);
+    this.logger.info('Starting sync process', config);
+    await this.ready;
 
-      // Check if sync is already in progress
-      if (this.currentSync && !this.currentSync.completed) {
+    // Check if sync is already in progress
+    if (this.currentSync && !this.currentSync.completed) {
+      if (this.currentSync.paused) {
+        throw new Error('A sync is paused; resume or cancel it first');
+      }
+      if (Date.now() - (this.currentSync.updatedAt || this.currentSync.startTime) < SyncService.STALE_AFTER) {
         throw new Error('Sync already in progress');
       }
+      await this.finishSession(SYNC_PHASES.ERROR, 'Sync interrupted: no progress reported');
+    }
 
-      // Initialize sync session
-      const syncSession = this.createSyncSession(config);
-      this.currentSync = syncSession;
+    // Initialize sync session
+    const syncSession = this.createSyncSession(config);
+    this.currentSync = syncSession;
+    await this.persist();
 
-      // Find or create LinkedIn tab
-      const tabId = await this.ensureLinkedInTab();
-      
-      // Start scraping process
-      const result = await this.initiateScraping(tabId, config);
-      
-      // Update sync session
-      syncSession.result = result;
-      syncSession.completed = true;
-      syncSession.endTime = Date.now();
+    try {
+      // Look the user up once per sync instead of once per post
+      try {
+        const auth = await this.resolveAuth({ force: true });
+        syncSession.userId = auth.userId;
+      } catch (error) {
+        if (error.status === 401) {
+          throw error;
+        }
+        // Backend unreachable right now: uploads are queued and resolve the user on retry
+        this.logger.warn('Could not resolve auth context at sync start', error);
+      }
 
-      // Add to history
-      this.syncHistory.push(syncSession);
+      // Find or open the LinkedIn activity tab for the requested source.
+      // Background runs work in a tab of their own, closed when the session ends.
+      const tabId = await this.ensureLinkedInTab(config);
+      syncSession.tabId = tabId;
+      syncSession.closeTabWhenDone = Boolean(config.background);
+      
+      // Collecting starts with the command: a short run can report SCRAPING_COMPLETE
+      // before START_SCRAPING's reply arrives, and completion expects COLLECTING
+      await this.transition(SYNC_PHASES.COLLECTING);
+      await this.initiateScraping(tabId, config);
 
-      this.logger.info('Sync process completed', { sessionId: syncSession.id, result });
-      return result;
+      this.logger.info('Sync process started', { sessionId: syncSession.id, tabId });
+      return this.getCurrentSyncStatus();
 
     } catch (error) {
       this.logger.error('Sync process failed', error);
-      
-      if (this.currentSync) {
-        this.currentSync.error = error.message;
-        this.currentSync.completed = true;
-        this.currentSync.endTime = Date.now();
-      }
-      
+      await this.finishSession(SYNC_PHASES.ERROR, error.message);
       throw error;
     }
   }
 
+  /**
+   * Upload a chunk of posts for the current sync and count the results
+   * @param {Array<Object>} elements - Elements from the content script
+   * @returns {Promise<Array<Object>>} Per-post results, see UploadService.processBatch
+   */
+  async processBatch(elements) {
+    const results = await this.uploads.processBatch(elements);
+    await this.recordUploadResults(results, elements);
+    return results;
+  }
+
+  /**
+   * Upload a single post for the current sync
+   * @param {Object} elementData - Element from the content script
+   * @returns {Promise<Object>} See UploadService.processElement
+   */
+  async processElement(elementData) {
+    const result = await this.uploads.processElement(elementData);
+    await this.recordUploadResults([{ id: elementData.id, ...result }], [elementData]);
+    return result;
+  }
+
+  /**
+   * Add upload results to the current session's stats, and remember which posts failed
+   * @param {Array<Object>} results - Per-post upload results
+   * @param {Array<Object>} elements - The uploaded elements, for failure details
+   */
+  async recordUploadResults(results, elements = []) {
+    await this.ready;
+    if (!this.currentSync || this.currentSync.completed) {
+      return;
+    }
+
+    // Sessions persisted before failures were recorded don't have the list yet
+    const { stats } = this.currentSync;
+    const failures = this.currentSync.failures || (this.currentSync.failures = []);
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+
+    results.forEach(result => {
+      stats.postsProcessed++;
+      if (result.skipped) {
+        stats.postsUnchanged++;
+      } else if (result.success) {
+        stats.postsSuccessful++;
+        if (result.event === POST_EVENTS.UPDATED) {
+          stats.postsUpdated++;
+        }
+      } else {
+        stats.postsFailed++;
+        if (result.queued) {
+          stats.postsRetrying++;
+        }
+        if (failures.length < SyncService.FAILURE_LIMIT) {
+          failures.push({
+            id: result.id,
+            error: result.error || 'Upload failed',
+            queued: Boolean(result.queued),
+            at: Date.now(),
+            ...UploadQueue.describe(elementsById.get(result.id))
+          });
+        }
+      }
+    });
+
+    if (!(await this.transition(SYNC_PHASES.QUEUEING))) {
+      await this.persist();
+    }
+  }
+
+  /**
+   * Close the current session and add it to the persisted history
+   * @param {string} phase - Final phase (SYNC_PHASES.COMPLETED or ERROR)
+   * @param {string|null} error - Error message, if the sync didn't complete
+   * @returns {Promise<Object>} The finished session
+   */
+  async finishSession(phase, error = null) {
+    const session = this.currentSync;
+    session.endTime = Date.now();
+    session.error = error;
+    session.paused = false;
+
+    if (!(await this.transition(phase))) {
+      // Not reachable from the current phase (e.g. COMPLETED straight from COLLECTING)
+      session.phase = SYNC_PHASES.ERROR;
+      session.completed = true;
+      session.error = session.error || `Sync ended in phase ${phase}`;
+      await this.persist();
+    }
+
+    this.syncHistory = [...this.syncHistory, session].slice(-SyncService.HISTORY_LIMIT);
+    await StorageService.set(STORAGE_KEYS.SYNC_HISTORY, this.syncHistory);
+
+    if (session.closeTabWhenDone && session.tabId) {
+      chrome.tabs.remove(session.tabId).catch(() => {});
+    }
+    return session;
+  }
+
   /**
    * Create sync session
    * @param {Object} config - Sync configuration
@@ -71,61 +320,146 @@ export class SyncService {
    */
   createSyncSession(config) {
     const sessionId = `sync_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // The session is persisted, credentials stay in auth_config
+    const { authToken, ...storedConfig } = config;
     
     return {
       id: sessionId,
       startTime: Date.now(),
+      updatedAt: Date.now(),
       endTime: null,
-      config,
+      config: storedConfig,
+      trigger: config.trigger || 'manual',
+      userId: null,
+      tabId: null,
+      closeTabWhenDone: false,
       phase: SYNC_PHASES.INITIALIZING,
       completed: false,
+      paused: false,
+      pausedAt: null,
       error: null,
       result: null,
+      failures: [],
       stats: {
         postsCollected: 0,
         postsProcessed: 0,
         postsSuccessful: 0,
-        postsFailed: 0
+        postsFailed: 0,
+        postsRetrying: 0,
+        postsUnchanged: 0,
+        postsUpdated: 0
       }
     };
   }
 
   /**
-   * Ensure LinkedIn tab is available
+   * Ensure a LinkedIn recent activity tab for the sync's source is available
+   * @param {Object} config - Sync configuration (`source`)
    * @returns {Promise<number>} Tab ID
    */
-  async ensureLinkedInTab() {
+  async ensureLinkedInTab(config = {}) {
+    const source = config.source || COLLECTION_SOURCES.ALL;
+    const url = `${LINKEDIN_URLS.PROFILE_BASE}me${LINKEDIN_URLS.ACTIVITY_SUFFIX}${source}/`;
+
     try {
-      // Check for existing LinkedIn tabs
-      const linkedinTabs = await chrome.tabs.query({ 
-        url: '*://*.linkedin.com/*',
+      if (config.background) {
+        // Scheduled runs never take over the tab the user is in. An inactive tab
+        // in the user's window is hidden and Chrome throttles it until the run
+        // stalls, so the run gets an unfocused window of its own where its tab
+        // is the active one. Closing that tab closes the window.
+        this.logger.info('Opening background LinkedIn window', { source });
+        const runWindow = await chrome.windows.create({ url, focused: false, state: 'normal' });
+        const [tab] = runWindow.tabs;
+        try {
+          await chrome.tabs.update(tab.id, { autoDiscardable: false });
+          await this.waitForTabLoad(tab.id);
+          await this.assertLoggedIn(tab.id);
+          return tab.id;
+        } catch (error) {
+          chrome.tabs.remove(tab.id).catch(() => {});
+          throw error;
+        }
+      }
+
+      // Reuse the activity tab the user is looking at
+      const activityTabs = await chrome.tabs.query({ 
+        url: `*://*.linkedin.com/in/*${LINKEDIN_URLS.ACTIVITY_SUFFIX}${source}/*`,
         active: true,
         currentWindow: true
       });
 
-      if (linkedinTabs.length > 0) {
-        this.logger.debug('Using existing LinkedIn tab', { tabId: linkedinTabs[0].id });
-        return linkedinTabs[0].id;
+      if (activityTabs.length > 0) {
+        this.logger.debug('Using existing LinkedIn activity tab', { tabId: activityTabs[0].id });
+        return activityTabs[0].id;
       }
 
-      // Create new LinkedIn tab
-      this.logger.info('Creating new LinkedIn tab');
-      const newTab = await chrome.tabs.create({
-        url: LINKEDIN_URLS.FEED,
-        active: true
-      });
+      // Open the recent activity page; LinkedIn resolves `me` to the signed-in profile
+      this.logger.info('Opening LinkedIn recent activity tab', { source });
+      const newTab = await chrome.tabs.create({ url, active: true });
 
       // Wait for tab to load
       await this.waitForTabLoad(newTab.id);
+      await this.assertLoggedIn(newTab.id);
       
       return newTab.id;
 
     } catch (error) {
       this.logger.error('Failed to ensure LinkedIn tab', error);
+      if (error.code === ERROR_CODES.LINKEDIN_LOGGED_OUT) {
+        throw error;
+      }
       throw new Error('Could not access LinkedIn. Please ensure you are logged in.');
     }
   }
 
+  /**
+   * Fail when LinkedIn redirected a freshly opened tab to its sign-in pages
+   * @param {number} tabId - Loaded tab
+   * @returns {Promise<void>} Throws an error with code LINKEDIN_LOGGED_OUT
+   */
+  async assertLoggedIn(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!LOGGED_OUT_PATHS.test(tab.url || '')) {
+      return;
+    }
+
+    const error = new Error('LinkedIn is signed out. Sign in to LinkedIn and try again.');
+    error.code = ERROR_CODES.LINKEDIN_LOGGED_OUT;
+    throw error;
+  }
+
+  /**
+   * Whether a tab still exists
+   * @param {number|null} tabId - Tab ID
+   * @returns {Promise<boolean>}
+   */
+  async isTabOpen(tabId) {
+    if (!tabId) {
+      return false;
+    }
+
+    try {
+      await chrome.tabs.get(tabId);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Fail the active session when the tab running it is closed
+   * @param {number} tabId - Closed tab ID
+   */
+  async handleTabRemoved(tabId) {
+    await this.ready;
+    if (!this.currentSync || this.currentSync.completed || this.currentSync.tabId !== tabId) {
+      return;
+    }
+
+    this.logger.warn('LinkedIn tab closed during sync', { sessionId: this.currentSync.id, tabId });
+    await this.finishSession(SYNC_PHASES.ERROR, 'Sync interrupted: the LinkedIn tab was closed');
+  }
+
   /**
    * Wait for tab to load completely
    * @param {number} tabId - Tab ID
@@ -162,12 +496,13 @@ export class SyncService {
     try {
       this.logger.info('Initiating scraping process', { tabId, config });
 
-      // Send scraping command to content script
+      // Sent once: a start that timed out may still have reached the content
+      // script, and sending it again would run a second collection in the tab
       const response = await MessageService.sendToContent(
         tabId,
         MESSAGE_TYPES.START_SCRAPING,
         { config },
-        { timeout: 10000, retries: 2 }
+        { timeout: 10000 }
       );
 
       if (!response || !response.success) {
@@ -188,14 +523,21 @@ export class SyncService {
    * @param {Object} progressData - Progress data
    */
   async handleSyncProgress(progressData) {
-    if (!this.currentSync) {
+    await this.ready;
+    if (!this.currentSync || this.currentSync.completed) {
       this.logger.warn('Received progress update but no active sync session');
       return;
     }
 
-    // Update current sync session
-    this.currentSync.phase = progressData.phase || this.currentSync.phase;
-    Object.assign(this.currentSync.stats, progressData.stats || {});
+    // Update current sync session; upload counts come from recordUploadResults
+    if (progressData.totalCollected !== undefined) {
+      this.currentSync.stats.postsCollected = progressData.totalCollected;
+    }
+
+    const phase = CONTENT_PHASES[progressData.phase];
+    if (!phase || !(await this.transition(phase))) {
+      await this.persist();
+    }
 
     // Update storage with latest stats
     await this.updateStorageStats(progressData);
@@ -211,16 +553,19 @@ export class SyncService {
    * @param {Object} completionData - Completion data
    */
   async handleSyncCompletion(completionData) {
-    if (!this.currentSync) {
+    await this.ready;
+    if (!this.currentSync || this.currentSync.completed) {
       this.logger.warn('Received completion update but no active sync session');
       return;
     }
 
-    // Update sync session
-    this.currentSync.completed = true;
-    this.currentSync.endTime = Date.now();
+    // The content script is done; finalize the run
+    await this.transition(SYNC_PHASES.PROCESSING);
+
+    const { stats } = this.currentSync;
+    stats.postsCollected = Math.max(stats.postsCollected, completionData.totalProcessed || 0);
     this.currentSync.result = completionData;
-    this.currentSync.phase = SYNC_PHASES.COMPLETED;
+    await this.finishSession(SYNC_PHASES.COMPLETED);
 
     // Update final statistics
     await this.updateStorageStats(completionData, true);
@@ -237,7 +582,8 @@ export class SyncService {
    * @param {string|Error} error - Error information
    */
   async handleSyncError(error) {
-    if (!this.currentSync) {
+    await this.ready;
+    if (!this.currentSync || this.currentSync.completed) {
       this.logger.warn('Received error update but no active sync session');
       return;
     }
@@ -245,10 +591,7 @@ export class SyncService {
     const errorMessage = error instanceof Error ? error.message : error;
 
     // Update sync session
-    this.currentSync.completed = true;
-    this.currentSync.endTime = Date.now();
-    this.currentSync.error = errorMessage;
-    this.currentSync.phase = SYNC_PHASES.ERROR;
+    await this.finishSession(SYNC_PHASES.ERROR, errorMessage);
 
     // Update error statistics
     const currentStats = await StorageService.getSyncStats();
@@ -284,6 +627,7 @@ export class SyncService {
       if (isFinal) {
         const currentStats = await StorageService.getSyncStats();
         updates.totalSyncs = currentStats.totalSyncs + 1;
+        updates.totalPosts = (currentStats.totalPosts || 0) + this.currentSync.stats.postsSuccessful;
         
         if (!this.currentSync.error) {
           updates.successfulSyncs = currentStats.successfulSyncs + 1;
@@ -312,7 +656,13 @@ export class SyncService {
       id: this.currentSync.id,
       phase: this.currentSync.phase,
       startTime: this.currentSync.startTime,
+      updatedAt: this.currentSync.updatedAt,
+      endTime: this.currentSync.endTime,
+      source: this.currentSync.config?.source || COLLECTION_SOURCES.ALL,
+      syncMode: this.currentSync.config?.syncMode || null,
+      trigger: this.currentSync.trigger || 'manual',
       completed: this.currentSync.completed,
+      paused: Boolean(this.currentSync.paused),
       error: this.currentSync.error,
       stats: { ...this.currentSync.stats }
     };
@@ -326,16 +676,102 @@ export class SyncService {
   getSyncHistory(limit = 10) {
     return this.syncHistory
       .slice(-limit)
-      .map(session => ({
-        id: session.id,
-        startTime: session.startTime,
-        endTime: session.endTime,
-        duration: session.endTime ? session.endTime - session.startTime : null,
-        phase: session.phase,
-        completed: session.completed,
-        error: session.error,
-        stats: { ...session.stats }
-      }));
+      .map(session => this.summarize(session));
+  }
+
+  /**
+   * History entry for a session
+   * @param {Object} session - Stored session
+   * @returns {Object} Summary without config, failures or result
+   */
+  summarize(session) {
+    return {
+      id: session.id,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      duration: session.endTime ? session.endTime - session.startTime : null,
+      source: session.config?.source || COLLECTION_SOURCES.ALL,
+      syncMode: session.config?.syncMode || null,
+      trigger: session.trigger || 'manual',
+      phase: session.phase,
+      completed: session.completed,
+      error: session.error,
+      stats: { ...session.stats }
+    };
+  }
+
+  /**
+   * Pause the current sync. The content script finishes the upload in flight and
+   * waits; everything sent so far stays uploaded.
+   * @returns {Promise<boolean>} Whether an active sync is now paused
+   */
+  async pauseSync() {
+    return this.setPaused(true);
+  }
+
+  /**
+   * Resume a paused sync where it stopped
+   * @returns {Promise<boolean>} Whether an active sync is now running
+   */
+  async resumeSync() {
+    return this.setPaused(false);
+  }
+
+  /**
+   * Pause or resume the current sync and tell the content script running it
+   * @param {boolean} paused - Target state
+   * @returns {Promise<boolean>} Success status
+   */
+  async setPaused(paused) {
+    await this.ready;
+    if (!this.currentSync || this.currentSync.completed) {
+      this.logger.warn(`No active sync to ${paused ? 'pause' : 'resume'}`);
+      return false;
+    }
+
+    if (Boolean(this.currentSync.paused) !== paused) {
+      this.currentSync.paused = paused;
+      this.currentSync.pausedAt = paused ? Date.now() : null;
+      await this.persist();
+      this.logger.info(paused ? 'Sync paused' : 'Sync resumed', { sessionId: this.currentSync.id });
+    }
+
+    if (this.currentSync.tabId) {
+      try {
+        await MessageService.sendToContent(
+          this.currentSync.tabId,
+          paused ? MESSAGE_TYPES.PAUSE_SCRAPING : MESSAGE_TYPES.RESUME_SCRAPING,
+          {},
+          { timeout: 2000 }
+        );
+      } catch (error) {
+        // The overlay asked for this itself, or the tab is gone (handleTabRemoved closes the session)
+        this.logger.debug('Could not reach content script', error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * One run with everything the popup's drill-down shows
+   * @param {string} sessionId - Session id from the history or the current status
+   * @returns {Object|null} History entry plus `failures` and the content script's `result`
+   */
+  getSyncRun(sessionId) {
+    const session = this.currentSync?.id === sessionId
+      ? this.currentSync
+      : this.syncHistory.find(entry => entry.id === sessionId);
+
+    if (!session) {
+      return null;
+    }
+
+    return {
+      ...this.summarize(session),
+      failures: [...(session.failures || [])],
+      result: session.result || null
+    };
   }
 
   /**
@@ -343,28 +779,28 @@ export class SyncService {
    * @returns {Promise<boolean>} Success status
    */
   async cancelSync() {
+    await this.ready;
     if (!this.currentSync || this.currentSync.completed) {
       this.logger.warn('No active sync to cancel');
       return false;
     }
 
     try {
-      // Try to stop content script scraping
-      const linkedinTabs = await chrome.tabs.query({ url: '*://*.linkedin.com/*' });
+      // Stop the content script that runs this sync, or every LinkedIn tab if it isn't known
+      const linkedinTabs = this.currentSync.tabId
+        ? [{ id: this.currentSync.tabId }]
+        : await chrome.tabs.query({ url: '*://*.linkedin.com/*' });
       
       for (const tab of linkedinTabs) {
         try {
-          await MessageService.sendToContent(tab.id, 'STOP_SCRAPING', {}, { timeout: 2000 });
+          await MessageService.sendToContent(tab.id, MESSAGE_TYPES.STOP_SCRAPING, {}, { timeout: 2000 });
         } catch (e) {
           // Ignore errors when canceling
         }
       }
 
       // Mark sync as completed with cancellation
-      this.currentSync.completed = true;
-      this.currentSync.endTime = Date.now();
-      this.currentSync.error = 'Cancelled by user';
-      this.currentSync.phase = SYNC_PHASES.ERROR;
+      await this.finishSession(SYNC_PHASES.ERROR, 'Cancelled by user');
 
       this.logger.info('Sync cancelled', { sessionId: this.currentSync.id });
       return true;
@@ -381,6 +817,7 @@ export class SyncService {
    */
   async getStatsSummary() {
     try {
+      await this.ready;
       const storageStats = await StorageService.getSyncStats();
       const currentStatus = this.getCurrentSyncStatus();
       
@@ -0,0 +1,268 @@
+/**
+ * Upload Service
+ * Moves posts from the content script to the YALG backend. It decides what
+ * actually needs sending (content fingerprints and the idempotency ledger),
+ * keeps it in the durable upload queue and delivers it through ApiClient's
+ * `/posts/bulk` and `/posts/queue` endpoints.
+ */
+
+import { POST_EVENTS } from '../../shared/constants.module.js';
+import { Logger } from '../../shared/utils/logger.js';
+import { UploadQueue } from '../uploadQueue.js';
+import { BatchSizer } from '../batchSizer.js';
+import { IdempotencyLedger } from '../idempotencyLedger.js';
+import { FingerprintStore } from '../fingerprintStore.js';
+
+// The upload queue owns retries for posts, so ApiClient makes a single attempt
+const QUEUED_REQUEST = { retries: 1 };
+
+export class UploadService {
+  /**
+   * @param {ApiClient} apiClient - Shared API client
+   * @param {Function} resolveAuth - `async () => ({ userId })`, also sets the client's token
+   */
+  constructor(apiClient, resolveAuth) {
+    this.apiClient = apiClient;
+    this.resolveAuth = resolveAuth;
+    this.logger = Logger.createScoped('UPLOAD');
+
+    // Bulk batch size adapts to latency and 429s for as long as the worker lives
+    this.sizer = new BatchSizer();
+
+    // Handed to the upload queue as plain callbacks
+    this.uploadPost = this.uploadPost.bind(this);
+    this.uploadBatch = this.uploadBatch.bind(this);
+  }
+
+  /**
+   * Queue and upload a single post. Failures stay queued for backoff retries,
+   * even if the LinkedIn tab is closed.
+   * @param {Object} elementData - Element from the content script
+   * @returns {Promise<Object>} `{ success, elementId, event?, skipped?, error?, queued? }`
+   */
+  async processElement(elementData) {
+    const { toSend: [keyed], skipped } = await this.prepare([elementData]);
+    if (!keyed) {
+      this.logger.info(`Element ${elementData.id} ${skipped.get(elementData.id)}, not resending`);
+      return { success: true, elementId: elementData.id, skipped: true };
+    }
+
+    await UploadQueue.enqueue(keyed.id, keyed);
+    const outcome = await UploadQueue.attempt(keyed.id, this.uploadPost);
+
+    if (outcome.success) {
+      return { success: true, elementId: elementData.id, event: keyed.event, result: outcome.result };
+    }
+
+    this.logger.warn(`Upload of ${elementData.id} failed (${outcome.status})`, outcome.error);
+    return {
+      success: false,
+      elementId: elementData.id,
+      error: outcome.error,
+      queued: outcome.status === UploadQueue.STATUS.PENDING
+    };
+  }
+
+  /**
+   * Queue a chunk of posts durably, then upload them in adaptive bulk batches
+   * @param {Array<Object>} elements - Elements from the content script
+   * @returns {Promise<Array<Object>>} One result per element:
+   *   `{ id, success, skipped, reason }` or `{ id, event, success, error?, queued? }`
+   */
+  async processBatch(elements) {
+    const { toSend, skipped } = await this.prepare(elements);
+    const events = new Map(toSend.map(element => [element.id, element.event]));
+
+    await UploadQueue.enqueueMany(toSend.map(element => ({ id: element.id, payload: element })));
+    const outcomes = await UploadQueue.attemptBatch(toSend.map(element => element.id), this.uploadBatch, this.sizer);
+
+    return elements.map(element => ({
+      id: element.id,
+      ...(skipped.has(element.id)
+        ? { success: true, skipped: true, reason: skipped.get(element.id) }
+        : {
+            event: events.get(element.id),
+            ...(outcomes.get(element.id) || { success: false, error: 'Not processed', queued: true })
+          })
+    }));
+  }
+
+  /**
+   * Retry queued uploads whose backoff has elapsed
+   * @returns {Promise<*>} See UploadQueue.processDue
+   */
+  processDue() {
+    return UploadQueue.processDue(this.uploadBatch, this.sizer);
+  }
+
+  /**
+   * Upload one post to `/posts/queue`
+   * @param {Object} elementData - Queued element
+   * @returns {Promise<Object>} API response; throws ApiError (`status`) on failure
+   */
+  async uploadPost(elementData) {
+    // Token and user come from the sync's auth context, not a lookup per post
+    const auth = await this.resolveAuth();
+    const [keyed] = await this.withIdempotencyKeys([elementData]);
+
+    const result = await this.apiClient.queuePost(auth.userId, UploadService.toPostBody(keyed), QUEUED_REQUEST);
+    await this.recordDelivered([keyed]);
+    return result;
+  }
+
+  /**
+   * Upload a batch of posts to `/posts/bulk`
+   * @param {Array<Object>} elements - Queued elements
+   * @returns {Promise<Map>} Post id → `{ success, error, status }`; throws ApiError
+   *   (`status`, `retryAfter` on 429) when the request itself fails
+   */
+  async uploadBatch(elements) {
+    const auth = await this.resolveAuth();
+    const keyed = await this.withIdempotencyKeys(elements);
+    const batchKey = await IdempotencyLedger.batchKey(keyed.map(element => element.idempotencyKey));
+
+    const response = await this.apiClient.sendBulkPosts(
+      auth.userId,
+      keyed.map(UploadService.toPostBody),
+      batchKey,
+      QUEUED_REQUEST
+    );
+    const results = new Map();
+
+    // Older backends acknowledge the whole batch without per-post results
+    if (!Array.isArray(response.results)) {
+      elements.forEach(element => results.set(element.id, { success: true }));
+    } else {
+      response.results.forEach(item => {
+        results.set(item.postId, {
+          success: Boolean(item.success),
+          error: item.error || null,
+          status: item.status || null
+        });
+      });
+    }
+
+    await this.recordDelivered(keyed.filter(element => results.get(element.id)?.success));
+    return results;
+  }
+
+  /**
+   * Send engagement snapshots for already-synced posts. Metrics only: the backend
+   * appends a time-series point per post, content is untouched.
+   * @param {Array<Object>} snapshots - See ApiClient.sendMetricSnapshots
+   * @returns {Promise<Object>} API response
+   */
+  async sendMetricSnapshots(snapshots) {
+    const auth = await this.resolveAuth();
+    this.logger.info(`Sending ${snapshots.length} engagement snapshots`);
+    return this.apiClient.sendMetricSnapshots(auth.userId, snapshots);
+  }
+
+  /**
+   * After a sync scanned the feed from the top down to `since`, report synced posts
+   * from that stretch that it didn't see as possibly removed
+   * @param {Object} seen - `{ scope, seenIds, since }` from the content script
+   * @returns {Promise<number>} Number of posts reported
+   */
+  async reportSeenPosts({ scope, seenIds = [], since = null } = {}) {
+    const missing = await FingerprintStore.reconcile(scope, seenIds, since);
+    if (missing.length === 0) {
+      return 0;
+    }
+
+    this.logger.info(`${missing.length} synced post(s) no longer in the feed since ${since}`);
+
+    const auth = await this.resolveAuth();
+    await this.apiClient.reportRemovedPosts(auth.userId, missing);
+    await FingerprintStore.markReported(scope, missing.map(post => post.postId));
+    return missing.length;
+  }
+
+  /**
+   * Decide what actually needs uploading. Unchanged posts and content the backend
+   * already acknowledged are skipped; edited posts go out as `updated` events instead
+   * of new posts. Posts synced before fingerprints existed only get their fingerprint recorded.
+   * @param {Array<Object>} elements - Elements from the content script
+   * @returns {Promise<Object>} `{ toSend, skipped }`, skipped maps element id → reason
+   */
+  async prepare(elements) {
+    const keyed = await this.withIdempotencyKeys(elements);
+    const changes = await FingerprintStore.classify(keyed);
+    const acknowledged = await IdempotencyLedger.filterAcknowledged(keyed.map(element => element.idempotencyKey));
+    const toSend = [];
+    const toRecord = [];
+    const skipped = new Map();
+
+    keyed.forEach(element => {
+      const change = changes.get(element.id);
+
+      if (change === FingerprintStore.CHANGE.UNCHANGED) {
+        skipped.set(element.id, 'unchanged since last sync');
+      } else if (change === FingerprintStore.CHANGE.BASELINE) {
+        skipped.set(element.id, 'already synced');
+        toRecord.push(element);
+      } else if (change === FingerprintStore.CHANGE.NEW && acknowledged.has(element.idempotencyKey)) {
+        skipped.set(element.id, 'already acknowledged');
+        toRecord.push(element);
+      } else {
+        toSend.push({ ...element, event: change === FingerprintStore.CHANGE.UPDATED ? POST_EVENTS.UPDATED : POST_EVENTS.CREATED });
+      }
+    });
+
+    await FingerprintStore.record(toRecord);
+
+    const updated = toSend.filter(element => element.event === POST_EVENTS.UPDATED).length;
+    if (skipped.size > 0 || updated > 0) {
+      this.logger.info(`${toSend.length - updated} new, ${updated} edited, ${skipped.size} skipped`);
+    }
+
+    return { toSend, skipped };
+  }
+
+  /**
+   * The backend has these posts now: remember their keys and content fingerprints
+   * @param {Array<Object>} elements - Keyed elements
+   */
+  async recordDelivered(elements) {
+    await IdempotencyLedger.acknowledge(elements.map(element => element.idempotencyKey));
+    await FingerprintStore.record(elements);
+  }
+
+  /**
+   * Attach each element's content hash and idempotency key. Items queued before
+   * keys existed get theirs on upload.
+   * @param {Array<Object>} elements - Elements
+   * @returns {Promise<Array<Object>>} Elements with `contentHash` and `idempotencyKey`
+   */
+  async withIdempotencyKeys(elements) {
+    return Promise.all(elements.map(async element => {
+      if (element.idempotencyKey && element.contentHash) {
+        return element;
+      }
+
+      const contentHash = await IdempotencyLedger.contentHash(element.post);
+      return { ...element, contentHash, idempotencyKey: IdempotencyLedger.toKey(element.id, contentHash) };
+    }));
+  }
+
+  /**
+   * Request body fields for one post, shared by /posts/queue and /posts/bulk
+   * @param {Object} elementData - Keyed element
+   * @returns {Object} `{ postId, idempotencyKey, event, post, htmlContent? }`
+   */
+  static toPostBody(elementData) {
+    const body = {
+      postId: elementData.id, // Stable id (activity URN) so re-syncs match the same post
+      idempotencyKey: elementData.idempotencyKey,
+      event: elementData.event || POST_EVENTS.CREATED,
+      post: elementData.post
+    };
+
+    // Raw HTML is only attached when the content script was asked to keep it
+    if (elementData.html) {
+      body.htmlContent = elementData.html;
+    }
+
+    return body;
+  }
+}
@@ -0,0 +1,445 @@
+/**
+ * Upload Queue
+ * Durable outbound queue for posts on their way to the backend. Items are
+ * kept in chrome.storage.local until the backend accepts them, so a closed
+ * LinkedIn tab or a restarted service worker doesn't lose anything. Failed
+ * uploads are retried on ApiClient's exponential backoff curve and parked as
+ * dead letters after RETRY_POLICY.DEAD_LETTER_AFTER failures, where the popup
+ * can retry or discard them.
+ */
+
+import { RETRY_POLICY, UPLOAD_QUEUE, STORAGE_KEYS, MESSAGE_TYPES } from '../shared/constants.module.js';
+import { Logger } from '../shared/utils/logger.js';
+import { ApiClient } from './api/apiClient.js';
+
+export class UploadQueue {
+  static logger = Logger.createScoped('UPLOAD_QUEUE');
+
+  static POLICY = RETRY_POLICY;
+  static STATUS = UPLOAD_QUEUE.ITEM_STATUS;
+  static ALARM_NAME = UPLOAD_QUEUE.ALARM_NAME;
+  static STORAGE_KEY = STORAGE_KEYS.UPLOAD_QUEUE;
+
+  /**
+   * Add a post to the queue, or refresh its payload if it is already queued.
+   * A dead letter that shows up again in a later sync gets a fresh set of attempts.
+   * @param {string} id - Stable post id (activity URN)
+   * @param {Object} payload - Element data as sent by the content script
+   * @returns {Promise<Object>} Queued item
+   */
+  static async enqueue(id, payload) {
+    const [queued] = await this.enqueueMany([{ id, payload }]);
+    return queued;
+  }
+
+  /**
+   * Add several posts in a single storage write (see enqueue)
+   * @param {Array<Object>} entries - `{ id, payload }` per post
+   * @returns {Promise<Array<Object>>} Queued items, in the same order
+   */
+  static async enqueueMany(entries) {
+    const queued = [];
+
+    await this._update(items => {
+      const now = Date.now();
+      const byId = new Map(items.map(item => [item.id, item]));
+
+      entries.forEach(({ id, payload }) => {
+        const existing = byId.get(id);
+
+        if (existing) {
+          existing.payload = payload;
+          existing.updatedAt = now;
+          if (existing.status === this.STATUS.DEAD) {
+            this._revive(existing, now);
+          }
+          queued.push(existing);
+          return;
+        }
+
+        const item = {
+          id,
+          payload,
+          status: this.STATUS.PENDING,
+          attempts: 0,
+          createdAt: now,
+          updatedAt: now,
+          nextAttemptAt: now,
+          lastError: null,
+          lastStatus: null
+        };
+        byId.set(id, item);
+        items.push(item);
+        queued.push(item);
+      });
+
+      return items;
+    });
+
+    return queued;
+  }
+
+  /**
+   * Try to upload one queued item now.
+   * On success the item leaves the queue; on failure it is rescheduled or dead-lettered.
+   * @param {string} id - Queued item id
+   * @param {Function} send - `async payload => result`, throws on failure (`error.status` for HTTP errors)
+   * @returns {Promise<Object>} `{ success, result }` or `{ success: false, error, status }`
+   */
+  static async attempt(id, send) {
+    if (this._inFlight.has(id)) {
+      return { success: false, error: 'Upload already in progress', status: this.STATUS.PENDING };
+    }
+
+    const item = (await this._load()).find(entry => entry.id === id);
+    if (!item || item.status !== this.STATUS.PENDING) {
+      return { success: false, error: 'Item is not waiting for upload', status: item?.status || null };
+    }
+
+    this._inFlight.add(id);
+    try {
+      const result = await send(item.payload);
+      await this._update(items => items.filter(entry => entry.id !== id));
+      return { success: true, result };
+    } catch (error) {
+      const failed = (await this._recordFailures([{ id, error }])).get(id);
+      await this.schedule();
+      return { success: false, error: error.message, status: failed?.status || null };
+    } finally {
+      this._inFlight.delete(id);
+    }
+  }
+
+  /**
+   * Upload queued items through the bulk endpoint in adaptively sized batches.
+   * Each item is settled on its own result, so one rejected post doesn't fail
+   * the rest of its batch. After a failed request the remaining items are
+   * deferred to the queue alarm instead of hammering the backend.
+   * @param {string[]} ids - Items to upload
+   * @param {Function} sendBatch - `async payloads => Map(id => { success, error, status })`,
+   *   throws when the request itself fails (`error.status`, `error.retryAfter`)
+   * @param {BatchSizer} sizer - Batch size controller
+   * @returns {Promise<Map>} Item id → `{ success, error, queued }`
+   */
+  static async attemptBatch(ids, sendBatch, sizer) {
+    const outcomes = new Map();
+    const wanted = new Set(ids);
+    let remaining = (await this._load()).filter(item =>
+      wanted.has(item.id) && item.status === this.STATUS.PENDING && !this._inFlight.has(item.id)
+    );
+
+    ids.forEach(id => {
+      if (!remaining.some(item => item.id === id)) {
+        const inFlight = this._inFlight.has(id);
+        outcomes.set(id, {
+          success: false,
+          error: inFlight ? 'Upload already in progress' : 'Item is not waiting for upload',
+          queued: inFlight
+        });
+      }
+    });
+
+    const claimed = remaining.map(item => item.id);
+    claimed.forEach(id => this._inFlight.add(id));
+
+    try {
+      while (remaining.length > 0) {
+        const { batch, bytes } = sizer.take(remaining);
+        remaining = remaining.slice(batch.length);
+        const startedAt = Date.now();
+
+        try {
+          const results = await sendBatch(batch.map(item => item.payload));
+          const latency = Date.now() - startedAt;
+          sizer.recordSuccess(latency, batch.length);
+          this.logger.info(`Bulk upload of ${batch.length} post(s), ${bytes} bytes, took ${latency}ms (next batch size ${sizer.size})`);
+          await this._settle(batch, results, outcomes);
+        } catch (error) {
+          if (error.status === 429) {
+            sizer.recordRateLimited(error.retryAfter);
+          } else {
+            sizer.recordFailure();
+          }
+
+          const failures = await this._recordFailures(batch.map(item => ({ id: item.id, error })));
+          batch.forEach(item => outcomes.set(item.id, {
+            success: false,
+            error: error.message,
+            queued: failures.get(item.id)?.status === this.STATUS.PENDING
+          }));
+
+          const resumeAt = Math.max(Date.now() + sizer.cooldownRemaining(), Date.now() + ApiClient.backoffDelay(0));
+          await this._defer(remaining.map(item => item.id), resumeAt);
+          remaining.forEach(item => outcomes.set(item.id, {
+            success: false,
+            error: `Deferred after a failed batch: ${error.message}`,
+            queued: true
+          }));
+          break;
+        }
+      }
+    } finally {
+      claimed.forEach(id => this._inFlight.delete(id));
+    }
+
+    await this.schedule();
+    return outcomes;
+  }
+
+  /**
+   * Upload every pending item whose backoff has elapsed
+   * @param {Function} sendBatch - See attemptBatch
+   * @param {BatchSizer} sizer - Batch size controller
+   * @returns {Promise<Object>} `{ sent, failed }` counts for this pass
+   */
+  static async processDue(sendBatch, sizer) {
+    const now = Date.now();
+    const due = (await this._load())
+      .filter(item => item.status === this.STATUS.PENDING && item.nextAttemptAt <= now)
+      .map(item => item.id);
+
+    let sent = 0;
+    let failed = 0;
+
+    if (due.length > 0) {
+      const outcomes = await this.attemptBatch(due, sendBatch, sizer);
+      outcomes.forEach(outcome => outcome.success ? sent++ : failed++);
+      this.logger.info(`Upload queue pass finished, ${sent} sent, ${failed} failed`);
+    } else {
+      await this.schedule();
+    }
+
+    return { sent, failed };
+  }
+
+  /**
+   * Point the queue alarm at the next pending retry, or clear it when nothing is waiting.
+   * Chrome rounds alarms up to its minimum period, so short backoffs fire a little late.
+   */
+  static async schedule() {
+    const pending = (await this._load()).filter(item => item.status === this.STATUS.PENDING);
+
+    if (pending.length === 0) {
+      await chrome.alarms.clear(this.ALARM_NAME);
+      return;
+    }
+
+    const next = Math.min(...pending.map(item => item.nextAttemptAt));
+    await chrome.alarms.create(this.ALARM_NAME, { when: Math.max(next, Date.now() + 1000) });
+  }
+
+  /**
+   * Move dead letters back to pending with a fresh set of attempts
+   * @param {string[]|null} ids - Items to retry, or null for all dead letters
+   * @returns {Promise<number>} Number of items requeued
+   */
+  static async retry(ids = null) {
+    let count = 0;
+
+    await this._update(items => {
+      const now = Date.now();
+      items.forEach(item => {
+        if (item.status === this.STATUS.DEAD && (!ids || ids.includes(item.id))) {
+          this._revive(item, now);
+          count++;
+        }
+      });
+      return items;
+    });
+
+    await this.schedule();
+    return count;
+  }
+
+  /**
+   * Drop dead letters for good
+   * @param {string[]|null} ids - Items to discard, or null for all dead letters
+   * @returns {Promise<number>} Number of items removed
+   */
+  static async discard(ids = null) {
+    let count = 0;
+
+    await this._update(items => items.filter(item => {
+      const drop = item.status === this.STATUS.DEAD && (!ids || ids.includes(item.id));
+      if (drop) count++;
+      return !drop;
+    }));
+
+    return count;
+  }
+
+  /**
+   * Queue overview for the popup, without the (possibly large) payloads
+   * @returns {Promise<Object>} `{ pending, nextAttemptAt, dead: [...] }`
+   */
+  static async getSummary() {
+    const items = await this._load();
+    const pending = items.filter(item => item.status === this.STATUS.PENDING);
+
+    return {
+      pending: pending.length,
+      nextAttemptAt: pending.length > 0 ? Math.min(...pending.map(item => item.nextAttemptAt)) : null,
+      dead: items
+        .filter(item => item.status === this.STATUS.DEAD)
+        .map(item => ({
+          id: item.id,
+          attempts: item.attempts,
+          lastError: item.lastError,
+          lastStatus: item.lastStatus,
+          createdAt: item.createdAt,
+          updatedAt: item.updatedAt,
+          ...this.describe(item.payload)
+        }))
+    };
+  }
+
+  /**
+   * Link and short preview of a post, for lists in the popup
+   * @param {Object} payload - Element data as sent by the content script
+   * @returns {Object} `{ url, preview }`
+   */
+  static describe(payload) {
+    return {
+      url: payload?.url || payload?.post?.url || null,
+      preview: (payload?.post?.title || payload?.post?.text || '').slice(0, 140)
+    };
+  }
+
+  /**
+   * Whether a failure is worth retrying. Mirrors ApiClient: client errors are final,
+   * except auth (the user can log back in), timeouts and rate limiting.
+   * @param {Error} error - Upload error, with `status` for HTTP failures
+   * @returns {boolean} True when the item should be retried
+   */
+  static isRetryable(error) {
+    const status = error?.status;
+    if (status >= 400 && status < 500) {
+      return [401, 408, 429].includes(status);
+    }
+
+    return true;
+  }
+
+  // Settle a delivered batch item by item from the backend's per-post results
+  static async _settle(batch, results, outcomes) {
+    const delivered = new Set();
+    const rejected = [];
+
+    batch.forEach(item => {
+      const result = results.get(item.id) || { success: false, error: 'No result returned for post' };
+      if (result.success) {
+        delivered.add(item.id);
+        outcomes.set(item.id, { success: true, result });
+      } else {
+        const error = new Error(result.error || 'Rejected by backend');
+        error.status = result.status || null;
+        rejected.push({ id: item.id, error });
+      }
+    });
+
+    if (delivered.size > 0) {
+      await this._update(items => items.filter(item => !delivered.has(item.id)));
+    }
+
+    if (rejected.length > 0) {
+      const failures = await this._recordFailures(rejected);
+      rejected.forEach(({ id, error }) => outcomes.set(id, {
+        success: false,
+        error: error.message,
+        queued: failures.get(id)?.status === this.STATUS.PENDING
+      }));
+    }
+  }
+
+  static async _recordFailures(entries) {
+    const failed = new Map();
+    const errors = new Map(entries.map(({ id, error }) => [id, error]));
+
+    await this._update(items => {
+      const now = Date.now();
+
+      items.forEach(item => {
+        const error = errors.get(item.id);
+        if (!error) {
+          return;
+        }
+
+        item.attempts++;
+        item.updatedAt = now;
+        item.lastError = error.message;
+        item.lastStatus = error.status || null;
+
+        if (!this.isRetryable(error) || item.attempts >= this.POLICY.DEAD_LETTER_AFTER) {
+          item.status = this.STATUS.DEAD;
+          item.nextAttemptAt = null;
+          this.logger.warn(`Upload of ${item.id} dead-lettered after ${item.attempts} attempt(s): ${error.message}`);
+        } else {
+          // ApiClient's curve, counted from the first failure
+          item.nextAttemptAt = now + ApiClient.backoffDelay(item.attempts - 1);
+        }
+
+        failed.set(item.id, { ...item });
+      });
+
+      return items;
+    });
+
+    if (Array.from(failed.values()).some(item => item.status === this.STATUS.DEAD)) {
+      this._notify();
+    }
+
+    return failed;
+  }
+
+  // Push items back without counting an attempt (they were never sent)
+  static async _defer(ids, until) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    const deferred = new Set(ids);
+    await this._update(items => {
+      items.forEach(item => {
+        if (deferred.has(item.id) && item.status === this.STATUS.PENDING) {
+          item.nextAttemptAt = Math.max(item.nextAttemptAt || 0, until);
+        }
+      });
+      return items;
+    });
+  }
+
+  static _revive(item, now) {
+    item.status = this.STATUS.PENDING;
+    item.attempts = 0;
+    item.nextAttemptAt = now;
+    item.updatedAt = now;
+  }
+
+  static async _load() {
+    const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return result[this.STORAGE_KEY] || [];
+  }
+
+  // Read-modify-write under a promise chain so concurrent messages never overwrite each other
+  static _update(mutate) {
+    const run = this._lock.then(async () => {
+      const items = await this._load();
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: mutate(items) });
+    });
+
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  static _notify() {
+    this.getSummary()
+      .then(summary => chrome.runtime.sendMessage({ type: MESSAGE_TYPES.UPLOAD_QUEUE_UPDATED, data: summary })
+        .catch(() => {
+          // No popup open to receive it
+        }))
+      .catch(error => this.logger.debug('Could not summarize the upload queue', error));
+  }
+}
+
+UploadQueue._lock = Promise.resolve();
+UploadQueue._inFlight = new Set();
@@ -0,0 +1,107 @@
+/**
+ * Activity Classifier
+ * Labels each item in the profile activity feed (original post, repost,
+ * repost with thoughts, comment, reaction, article) so only items the user
+ * actually wrote are sent by default.
+ *
+ * Loaded as a classic content script (after constants.js) and exposed globally.
+ */
+
+class ActivityClassifier {
+  static get SELECTORS() {
+    return globalThis.YALG_LINKEDIN_SELECTORS || {};
+  }
+
+  static get TYPES() {
+    return globalThis.YALG_ACTIVITY_TYPES || {};
+  }
+
+  // Header lines LinkedIn puts above items the owner didn't write ("Jane commented on this")
+  static get HEADER_PATTERNS() {
+    return {
+      comment: /\b(commented on|replied to)\b/i,
+      reaction: /\b(likes?|loves?|celebrates?|supports?|finds? this (insightful|funny|curious|interesting)|reacted to)\b/i,
+      repost: /\b(reposted|shared) this\b/i
+    };
+  }
+
+  /**
+   * Classify an activity item
+   * @param {Element} postElement - Post root element
+   * @param {Object} post - Extracted post record (see PostExtractor.extract)
+   * @param {string|null} ownerProfileId - Slug of the profile whose activity is being read
+   * @returns {string} One of ACTIVITY_TYPES
+   */
+  static classify(postElement, post, ownerProfileId = null) {
+    const types = this.TYPES;
+    const header = this.extractHeader(postElement);
+    const patterns = this.HEADER_PATTERNS;
+
+    if (patterns.comment.test(header)) return types.COMMENT;
+    if (patterns.reaction.test(header)) return types.REACTION;
+    if (patterns.repost.test(header)) return types.REPOST;
+
+    // Headers are localized; fall back to comparing the post author with the owner
+    if (!this.isOwnedBy(post, ownerProfileId)) return types.REPOST;
+
+    if (post?.postType === globalThis.YALG_POST_TYPES?.RESHARE) return types.REPOST_WITH_THOUGHTS;
+    if (this._queryOwn(postElement, this.SELECTORS.POST_ARTICLE_LINK)) return types.ARTICLE;
+
+    return types.ORIGINAL;
+  }
+
+  /**
+   * Whether an activity type is something the user wrote themselves
+   * @param {string} activityType - One of ACTIVITY_TYPES
+   * @returns {boolean} True for original posts, reposts with thoughts and articles
+   */
+  static isUserAuthored(activityType) {
+    const types = this.TYPES;
+    return [types.ORIGINAL, types.REPOST_WITH_THOUGHTS, types.ARTICLE].includes(activityType);
+  }
+
+  /**
+   * Read the activity header line, if any
+   * @param {Element} postElement - Post root element
+   * @returns {string} Header text
+   */
+  static extractHeader(postElement) {
+    const headerElement = this._queryOwn(postElement, this.SELECTORS.POST_HEADER);
+    return (headerElement?.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Compare the post author with the profile owner.
+   * Unknown on either side (e.g. the `/in/me/` alias) counts as owned.
+   * @param {Object} post - Extracted post record
+   * @param {string|null} ownerProfileId - Owner profile slug
+   * @returns {boolean} False only when the author is known to be someone else
+   */
+  static isOwnedBy(post, ownerProfileId) {
+    const profileUrl = post?.author?.profileUrl;
+    if (!ownerProfileId || ownerProfileId === 'me' || !profileUrl) {
+      return true;
+    }
+
+    const match = profileUrl.match(/\/(in|company)\/([^\/?#]+)/);
+    if (!match) {
+      return true;
+    }
+
+    return match[1] === 'in' && decodeURIComponent(match[2]).toLowerCase() === ownerProfileId.toLowerCase();
+  }
+
+  static _queryOwn(root, selector) {
+    if (!selector) {
+      return null;
+    }
+
+    return Array.from(root.querySelectorAll(selector))
+      .find(node => !node.closest(this.SELECTORS.POST_RESHARE)) || null;
+  }
+}
+
+// Make the classifier available to content.js and the other content scripts
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_ACTIVITY_CLASSIFIER = ActivityClassifier;
+}
@@ -0,0 +1,127 @@
+/**
+ * Activity Sources
+ * Maps each activity tab a sync can read from (all, shares, comments,
+ * articles, newsletter) to how its items are found, identified and parsed.
+ *
+ * Loaded as a classic content script (after the extractors) and exposed globally.
+ */
+
+class ActivitySources {
+  static get SOURCES() {
+    return globalThis.YALG_COLLECTION_SOURCES || {};
+  }
+
+  static get SELECTORS() {
+    return globalThis.YALG_LINKEDIN_SELECTORS || {};
+  }
+
+  /**
+   * Work out which source an activity page shows
+   * @param {string} url - Page URL
+   * @returns {string} One of COLLECTION_SOURCES, `all` when unknown
+   */
+  static fromUrl(url = window.location.href) {
+    const segment = url.match(/\/recent-activity\/([^\/?#]+)/)?.[1];
+    return Object.values(this.SOURCES).includes(segment) ? segment : this.SOURCES.ALL;
+  }
+
+  /**
+   * Build the activity URL for a source from any profile URL
+   * @param {string} profileUrl - LinkedIn profile (or profile sub-page) URL
+   * @param {string} source - One of COLLECTION_SOURCES
+   * @returns {string} Activity tab URL
+   */
+  static buildActivityUrl(profileUrl, source = this.SOURCES.ALL) {
+    const baseUrl = profileUrl.match(/^.*?\/in\/[^\/?#]+/)?.[0] || profileUrl.replace(/\/$/, '');
+    return `${baseUrl}/recent-activity/${source || this.SOURCES.ALL}/`;
+  }
+
+  /**
+   * Checkpoint key for a profile and source. All and shares both hold the
+   * owner's posts, so they share a high-water mark; other tabs get their own.
+   * @param {string|null} profileId - Profile slug
+   * @param {string} source - One of COLLECTION_SOURCES
+   * @returns {string|null} Checkpoint key
+   */
+  static checkpointKey(profileId, source) {
+    if (!profileId || source === this.SOURCES.ALL || source === this.SOURCES.SHARES) {
+      return profileId;
+    }
+
+    return `${profileId}:${source}`;
+  }
+
+  /**
+   * Find collectable items currently rendered on the page
+   * @param {string} source - One of COLLECTION_SOURCES
+   * @param {string|null} ownerProfileId - Owner profile slug
+   * @returns {Array<Object>} `{ id, root, ... }` per item, in feed order
+   */
+  static findItems(source, ownerProfileId) {
+    if (source === this.SOURCES.COMMENTS) {
+      return Array.from(document.querySelectorAll(this.SELECTORS.POST_ROOT)).flatMap(postElement =>
+        CommentExtractor.findOwnComments(postElement, ownerProfileId).map(comment => ({
+          id: CommentExtractor.extractUrn(comment) || CommentExtractor.extract(comment, postElement).id,
+          root: comment,
+          parent: postElement
+        }))
+      );
+    }
+
+    if (source === this.SOURCES.ARTICLES || source === this.SOURCES.NEWSLETTERS) {
+      return ArticleExtractor.findArticleCards().map(card => ({
+        id: ArticleExtractor.resolveArticleId(card.element, card.url),
+        root: card.element,
+        card
+      }));
+    }
+
+    return Array.from(document.querySelectorAll(this.SELECTORS.POST_CONTAINER))
+      .map(element => PostExtractor.findPostRoot(element))
+      .filter(Boolean)
+      .map(root => ({ id: PostExtractor.resolvePostId(root), root }));
+  }
+
+  /**
+   * Extract the structured record for an item
+   * @param {string} source - One of COLLECTION_SOURCES
+   * @param {Object} item - Item from findItems
+   * @param {string|null} ownerProfileId - Owner profile slug
+   * @param {Function|null} isSynced - Recognises synced articles, see ArticleExtractor.extract
+   * @returns {Promise<Object>} Post, comment or article record
+   */
+  static async extractItem(source, item, ownerProfileId, isSynced = null) {
+    if (source === this.SOURCES.COMMENTS) {
+      return CommentExtractor.extract(item.root, item.parent);
+    }
+
+    if (source === this.SOURCES.ARTICLES || source === this.SOURCES.NEWSLETTERS) {
+      return ArticleExtractor.extract(item.card, item.id, isSynced);
+    }
+
+    const post = PostExtractor.extract(item.root);
+    post.activityType = ActivityClassifier.classify(item.root, post, ownerProfileId);
+    return post;
+  }
+
+  /**
+   * Whether an extracted item should be sent. The comments and article tabs
+   * only yield the owner's own writing, the post feeds are classified.
+   * @param {string} source - One of COLLECTION_SOURCES
+   * @param {Object} post - Extracted record
+   * @param {Object} config - Sync config
+   * @returns {boolean} True if the item should be queued
+   */
+  static isWanted(source, post, config = {}) {
+    if (source !== this.SOURCES.ALL && source !== this.SOURCES.SHARES) {
+      return true;
+    }
+
+    return Boolean(config.includeAllActivity) || ActivityClassifier.isUserAuthored(post.activityType);
+  }
+}
+
+// Make sources available to content.js and the other content scripts
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_ACTIVITY_SOURCES = ActivitySources;
+}
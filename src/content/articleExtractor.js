@@ -0,0 +1,258 @@
+/**
+ * Article Extractor
+ * Extracts LinkedIn articles and newsletter editions as full long-form
+ * documents. The activity tabs only show a card per article, so each new
+ * article page is fetched and parsed for its complete body. Articles synced
+ * before are recognised from their card and not fetched again.
+ *
+ * Loaded as a classic content script (after postExtractor.js) and exposed globally.
+ */
+
+class ArticleExtractor {
+  static get SELECTORS() {
+    return globalThis.YALG_LINKEDIN_SELECTORS || {};
+  }
+
+  /**
+   * Find article cards on an articles or newsletter activity tab
+   * @param {ParentNode} root - Where to look, defaults to the whole page
+   * @returns {Array<Object>} `{ element, url }` per article, deduplicated by URL
+   */
+  static findArticleCards(root = document) {
+    const cards = [];
+    const seen = new Set();
+
+    root.querySelectorAll(this.SELECTORS.ARTICLE_LINK).forEach(link => {
+      const url = this.canonicalUrl(link.href);
+      if (!url || seen.has(url)) {
+        return;
+      }
+
+      seen.add(url);
+      cards.push({
+        element: link.closest(this.SELECTORS.POST_ROOT) || link.closest('li') || link,
+        url
+      });
+    });
+
+    return cards;
+  }
+
+  /**
+   * Stable id for an article card: the activity URN when the card has one,
+   * otherwise the canonical article URL
+   * @param {Element} cardElement - Article card
+   * @param {string} url - Canonical article URL
+   * @returns {string} Article id
+   */
+  static resolveArticleId(cardElement, url) {
+    return PostExtractor.extractUrn(cardElement) || `article:${url}`;
+  }
+
+  /**
+   * Strip tracking parameters and trailing slashes from an article link
+   * @param {string} href - Article link
+   * @returns {string|null} Canonical URL
+   */
+  static canonicalUrl(href) {
+    try {
+      const url = new URL(href, window.location.origin);
+      return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch an article page and extract it as a full document.
+   * Falls back to what the card shows when the page can't be loaded.
+   * @param {Object} card - `{ element, url }` from findArticleCards
+   * @param {string} id - Article id from resolveArticleId
+   * @param {Function|null} isSynced - `record => boolean`, given the card record; a synced
+   *   article isn't fetched and comes back as the card record with `alreadySynced: true`
+   * @returns {Promise<Object>} Article record shaped like a post record
+   */
+  static async extract(card, id, isSynced = null) {
+    if (isSynced) {
+      const cardRecord = { ...this.extractCard(card), id };
+      if (isSynced(cardRecord)) {
+        return { ...cardRecord, alreadySynced: true };
+      }
+    }
+
+    try {
+      const doc = await this.fetchDocument(card.url);
+      return { ...this.extractDocument(doc, card.url), id };
+    } catch (error) {
+      console.warn(`YALG Extension: Could not load article ${card.url}, using card only`, error);
+      return { ...this.extractCard(card), id };
+    }
+  }
+
+  /**
+   * Load an article page with the user's LinkedIn session
+   * @param {string} url - Article URL
+   * @returns {Promise<Document>} Parsed document
+   */
+  static async fetchDocument(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`Failed to load article: ${response.status}`);
+    }
+
+    const html = await response.text();
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  /**
+   * Extract a full article from its page
+   * @param {Document} doc - Article page document
+   * @param {string} url - Canonical article URL
+   * @returns {Object} Article record
+   */
+  static extractDocument(doc, url) {
+    const metadata = this._readJsonLd(doc);
+    const body = doc.querySelector(this.SELECTORS.ARTICLE_BODY);
+    const blocks = body ? this.extractBlocks(body) : [];
+    const cover = doc.querySelector(this.SELECTORS.ARTICLE_COVER)?.src || this._meta(doc, 'og:image');
+    const authorLink = doc.querySelector(this.SELECTORS.ARTICLE_AUTHOR_LINK);
+    const newsletterLink = doc.querySelector(this.SELECTORS.NEWSLETTER_LINK);
+    const urn = doc.documentElement.innerHTML.match(/urn:li:linkedInArticle:\d+/)?.[0] || null;
+
+    return {
+      urn,
+      url,
+      title: this._cleanText(doc.querySelector(this.SELECTORS.ARTICLE_TITLE)?.textContent) ||
+        metadata?.headline || this._meta(doc, 'og:title'),
+      subtitle: this._cleanText(doc.querySelector(this.SELECTORS.ARTICLE_SUBTITLE)?.textContent) || null,
+      author: {
+        name: this._cleanText(authorLink?.textContent) || metadata?.author?.name || null,
+        profileUrl: authorLink?.href ? authorLink.href.split('?')[0] : metadata?.author?.url || null,
+        headline: null
+      },
+      text: blocks.map(block => block.type === 'list' ? block.items.map(item => `- ${item}`).join('\n') : block.text)
+        .filter(Boolean)
+        .join('\n\n'),
+      blocks,
+      hashtags: body ? PostExtractor.extractHashtags(body) : [],
+      mentions: body ? PostExtractor.extractMentions(body) : [],
+      links: body ? PostExtractor.extractLinks(body) : [],
+      media: cover ? [{ type: 'image', url: cover, alt: 'cover' }] : [],
+      postedAt: this._toIso(metadata?.datePublished || this._meta(doc, 'article:published_time') ||
+        doc.querySelector('time[datetime]')?.getAttribute('datetime')),
+      postedRelative: null,
+      postType: globalThis.YALG_POST_TYPES?.ARTICLE || 'article',
+      activityType: globalThis.YALG_ACTIVITY_TYPES?.ARTICLE || 'article',
+      newsletter: newsletterLink
+        ? { name: this._cleanText(newsletterLink.textContent), url: this.canonicalUrl(newsletterLink.href) }
+        : null,
+      complete: blocks.length > 0
+    };
+  }
+
+  /**
+   * Split an article body into ordered blocks, keeping headings, quotes, lists and images
+   * @param {Element} body - Article body element
+   * @returns {Array<Object>} Blocks `{ type, text }`, `{ type: 'list', ordered, items }` or `{ type: 'image', url, alt }`
+   */
+  static extractBlocks(body) {
+    const blocks = [];
+
+    body.querySelectorAll('h1, h2, h3, h4, p, blockquote, ul, ol, pre, img').forEach(node => {
+      // Nested nodes are covered by their block-level parent
+      if (node.parentElement.closest('blockquote, ul, ol, pre')) {
+        return;
+      }
+
+      const tag = node.tagName.toLowerCase();
+
+      if (tag === 'img') {
+        if (node.src) {
+          blocks.push({ type: 'image', url: node.src, alt: node.alt || null });
+        }
+      } else if (tag === 'ul' || tag === 'ol') {
+        const items = Array.from(node.querySelectorAll('li')).map(li => this._cleanText(li.textContent)).filter(Boolean);
+        if (items.length > 0) {
+          blocks.push({ type: 'list', ordered: tag === 'ol', items });
+        }
+      } else {
+        const text = tag === 'pre' ? node.textContent : PostExtractor.extractText(node);
+        if (text.trim()) {
+          const type = /^h\d$/.test(tag) ? 'heading' : { blockquote: 'quote', pre: 'code' }[tag] || 'paragraph';
+          blocks.push(type === 'heading' ? { type, level: Number(tag[1]), text } : { type, text });
+        }
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Minimal record from the activity card when the article page is unavailable
+   * @param {Object} card - `{ element, url }`
+   * @returns {Object} Partial article record
+   */
+  static extractCard(card) {
+    const link = card.element.matches?.(this.SELECTORS.ARTICLE_LINK)
+      ? card.element
+      : card.element.querySelector(this.SELECTORS.ARTICLE_LINK);
+    const urn = PostExtractor.extractUrn(card.element);
+
+    return {
+      urn,
+      url: card.url,
+      title: this._cleanText(link?.textContent) || null,
+      subtitle: null,
+      author: PostExtractor.extractAuthor(card.element),
+      text: '',
+      blocks: [],
+      hashtags: [],
+      mentions: [],
+      links: [],
+      media: [],
+      postedAt: PostExtractor.urnTimestamp(urn),
+      postedRelative: PostExtractor.extractRelativeTime(card.element),
+      postType: globalThis.YALG_POST_TYPES?.ARTICLE || 'article',
+      activityType: globalThis.YALG_ACTIVITY_TYPES?.ARTICLE || 'article',
+      newsletter: null,
+      complete: false
+    };
+  }
+
+  // Utility Methods
+
+  static _readJsonLd(doc) {
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        const nodes = Array.isArray(data) ? data : data['@graph'] || [data];
+        const article = nodes.find(node => /Article|BlogPosting/.test(node?.['@type']));
+        if (article) {
+          return article;
+        }
+      } catch {
+        // Ignore malformed metadata blocks
+      }
+    }
+
+    return null;
+  }
+
+  static _meta(doc, property) {
+    return doc.querySelector(`meta[property="${property}"], meta[name="${property}"]`)?.getAttribute('content') || null;
+  }
+
+  static _toIso(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
+  static _cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Make the extractor available to content.js and the other content scripts
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_ARTICLE_EXTRACTOR = ArticleExtractor;
+}
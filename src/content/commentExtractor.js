@@ -0,0 +1,109 @@
+/**
+ * Comment Extractor
+ * Parses the owner's own comments from the `/recent-activity/comments/` tab.
+ * Each activity item there is the parent post with the owner's comment(s)
+ * threaded underneath; only comments written by the owner are extracted.
+ *
+ * Loaded as a classic content script (after postExtractor.js) and exposed globally.
+ */
+
+class CommentExtractor {
+  static get SELECTORS() {
+    return globalThis.YALG_LINKEDIN_SELECTORS || {};
+  }
+
+  /**
+   * Find the owner's comments within an activity item. Without a known owner
+   * every comment would pass as theirs, so none are returned.
+   * @param {Element} postElement - Activity item root (the parent post)
+   * @param {string|null} ownerProfileId - Owner profile slug
+   * @returns {Element[]} Comment elements written by the owner
+   */
+  static findOwnComments(postElement, ownerProfileId) {
+    if (!ownerProfileId || ownerProfileId === 'me') {
+      return [];
+    }
+
+    return Array.from(postElement.querySelectorAll(this.SELECTORS.COMMENT_ITEM))
+      .filter(comment => ActivityClassifier.isOwnedBy(
+        { author: this.extractAuthor(comment) },
+        ownerProfileId
+      ));
+  }
+
+  /**
+   * Parse a comment URN from the comment element
+   * @param {Element} commentElement - Comment element
+   * @returns {string|null} URN such as `urn:li:comment:(urn:li:activity:7123…,7124…)`
+   */
+  static extractUrn(commentElement) {
+    const raw = commentElement.getAttribute('data-id') || commentElement.getAttribute('data-urn') || '';
+    const match = raw.match(/urn:li:comment:\((?:urn:li:)?(activity|ugcPost|share):(\d+),(\d+)\)/);
+    return match ? `urn:li:comment:(urn:li:${match[1]}:${match[2]},${match[3]})` : null;
+  }
+
+  /**
+   * Extract a structured comment record
+   * @param {Element} commentElement - Comment element
+   * @param {Element} postElement - Parent activity item root
+   * @returns {Object} Comment record shaped like a post record
+   */
+  static extract(commentElement, postElement) {
+    const urn = this.extractUrn(commentElement);
+    const textElement = commentElement.querySelector(this.SELECTORS.COMMENT_TEXT);
+    const author = this.extractAuthor(commentElement);
+    const text = textElement ? PostExtractor.extractText(textElement) : '';
+    const commentId = urn && urn.match(/,(\d+)\)$/)?.[1];
+    const parentPost = PostExtractor.extractAuthor(postElement);
+
+    return {
+      id: urn || PostExtractor.contentId(author, text, 'comment'),
+      urn,
+      author,
+      text,
+      hashtags: textElement ? PostExtractor.extractHashtags(textElement) : [],
+      mentions: textElement ? PostExtractor.extractMentions(textElement) : [],
+      links: textElement ? PostExtractor.extractLinks(textElement) : [],
+      media: [],
+      postedAt: commentId ? PostExtractor.urnTimestamp(`urn:li:comment:${commentId}`) : null,
+      postedRelative: this._cleanText(commentElement.querySelector(this.SELECTORS.COMMENT_TIME)?.textContent) || null,
+      postType: globalThis.YALG_POST_TYPES?.TEXT || 'text',
+      activityType: globalThis.YALG_ACTIVITY_TYPES?.COMMENT || 'comment',
+      parent: {
+        urn: PostExtractor.extractUrn(postElement),
+        author: parentPost,
+        text: this._cleanText(
+          postElement.querySelector(this.SELECTORS.POST_CONTENT)?.textContent
+        ).slice(0, 280)
+      }
+    };
+  }
+
+  /**
+   * Extract the comment author
+   * @param {Element} commentElement - Comment element
+   * @returns {Object} Author with name and profile URL
+   */
+  static extractAuthor(commentElement) {
+    const link = commentElement.querySelector(this.SELECTORS.COMMENT_AUTHOR_LINK);
+    const name = link?.querySelector('span[aria-hidden="true"], [class*="name"]') || link;
+
+    return {
+      name: this._cleanText(name?.textContent),
+      profileUrl: link?.href ? this._stripQuery(link.href) : null
+    };
+  }
+
+  static _cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  static _stripQuery(url) {
+    return url.split('?')[0];
+  }
+}
+
+// Make the extractor available to content.js and the other content scripts
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_COMMENT_EXTRACTOR = CommentExtractor;
+}
@@ -3,33 +3,88 @@ console.log('YALG Extension: Content script loaded on', window.location.href);
 
 // Global state
 let isScrapingActive = false;
+let isScrapingPaused = false;
 let config = {};
 let progressOverlay = null;
+let postListPanel = null;
+
+// Posts of the current sync for the overlay's post list, by post id
+const postStatuses = new Map();
 
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('YALG Extension: Content script received message', message);
   
   if (message.type === 'START_SCRAPING') {
-    config = message.config;
+    config = message.data?.config || {};
     startHTMLCollection();
     sendResponse({ success: true });
   }
+  
+  if (message.type === 'STOP_SCRAPING') {
+    // Same as the overlay's Cancel button: the collection loops check this flag
+    console.log('YALG Extension: Sync cancelled from the extension');
+    isScrapingActive = false;
+    isScrapingPaused = false;
+    
+    if (progressOverlay) {
+      progressOverlay.remove();
+      progressOverlay = null;
+    }
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'PAUSE_SCRAPING' || message.type === 'RESUME_SCRAPING') {
+    setScrapingPaused(message.type === 'PAUSE_SCRAPING');
+    sendResponse({ success: true });
+  }
+
+  if (message.type === 'FILL_COMPOSER') {
+    // Only fills the share box; the user presses Post
+    PostComposer.fill(message.data?.text || '', message.data?.draftId || null).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'SYNC_STATE_CHANGED') {
+    // The background closed the session (e.g. as interrupted); stop collecting for it
+    const sync = message.data;
+    if (sync && sync.completed && sync.error && isScrapingActive) {
+      console.log('YALG Extension: Sync ended by the extension:', sync.error);
+      isScrapingActive = false;
+      showError(sync.error);
+    }
+  }
 });
 
 // Wait for page to load and check auto-start
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
     console.log('YALG Extension: Content script ready');
+    PostActions.start();
     checkAutoStart();
   });
 } else {
   console.log('YALG Extension: Content script ready');
+  PostActions.start();
   checkAutoStart();
 }
 
 async function checkAutoStart() {
   try {
+    // Resume an interrupted backfill (reload, crash or browser restart)
+    if (window.location.href.includes('/recent-activity/')) {
+      const checkpointId = ActivitySources.checkpointKey(SyncCheckpoints.getProfileId(), ActivitySources.fromUrl());
+      const backfill = await SyncCheckpoints.getBackfillState(checkpointId);
+      if (backfill?.status === 'collecting') {
+        console.log('YALG Extension: Resuming interrupted backfill');
+        config = backfill.config || {};
+        setTimeout(() => {
+          startHTMLCollection();
+        }, 3000);
+        return;
+      }
+    }
+    
     const stored = await chrome.storage.local.get(['config', 'autoStartSync']);
     if (stored.autoStartSync && stored.config) {
       console.log('YALG Extension: Auto-starting sync from stored configuration');
@@ -55,6 +110,7 @@ async function startHTMLCollection() {
   }
   
   isScrapingActive = true;
+  isScrapingPaused = false;
   
   // Create and show progress overlay
   createProgressOverlay();
@@ -63,7 +119,7 @@ async function startHTMLCollection() {
     console.log('YALG Extension: Starting LinkedIn HTML collection');
     
     // Navigate to user's recent activity page if not already there
-    if (!window.location.href.includes('/recent-activity/')) {
+    if (!isOnRequestedActivityTab()) {
       console.log('YALG Extension: Not on recent activity page, attempting navigation...');
       
       try {
@@ -72,7 +128,7 @@ async function startHTMLCollection() {
         console.log('YALG Extension: Waiting for navigation to complete...');
         await wait(5000);
         
-        if (!window.location.href.includes('/recent-activity/')) {
+        if (!isOnRequestedActivityTab()) {
           throw new Error('Navigation to profile page failed');
         }
       } catch (navError) {
@@ -106,23 +162,28 @@ async function startHTMLCollection() {
     });
   } finally {
     isScrapingActive = false;
+    isScrapingPaused = false;
   }
 }
 
+function isOnRequestedActivityTab() {
+  return window.location.href.includes('/recent-activity/') &&
+    ActivitySources.fromUrl() === (config.source || window.YALG_COLLECTION_SOURCES.ALL);
+}
+
 async function navigateToOwnProfile() {
   console.log('YALG Extension: Current URL:', window.location.href);
   
   // Check if we're already on the profile recent activity page
-  if (window.location.href.includes('/recent-activity/')) {
+  if (isOnRequestedActivityTab()) {
     console.log('YALG Extension: Already on recent activity page');
     return;
   }
   
-  // If we're already on a profile page, just add the recent-activity path
-  if (window.location.href.includes('/in/') && !window.location.href.includes('/recent-activity/')) {
+  // If we're already on a profile page (or another activity tab), just set the recent-activity path
+  if (window.location.href.includes('/in/')) {
     console.log('YALG Extension: On profile page, navigating to recent activity...');
-    const baseUrl = window.location.href.split('/').slice(0, 5).join('/'); // Get base profile URL
-    const activityUrl = baseUrl + '/recent-activity/all/';
+    const activityUrl = ActivitySources.buildActivityUrl(window.location.href, config.source);
     console.log('YALG Extension: Navigating to:', activityUrl);
     window.location.href = activityUrl;
     return;
@@ -144,8 +205,9 @@ async function navigateToOwnProfile() {
       }
       
       if (profileUrl) {
-        console.log('YALG Extension: Navigating to:', profileUrl + '/recent-activity/all/');
-        window.location.href = profileUrl + '/recent-activity/all/';
+        const activityUrl = ActivitySources.buildActivityUrl(profileUrl, config.source);
+        console.log('YALG Extension: Navigating to:', activityUrl);
+        window.location.href = activityUrl;
         return;
       }
     }
@@ -172,48 +234,127 @@ async function collectHTMLElements() {
   
   console.log('YALG Extension: Collecting HTML elements from user profile activity page');
   
+  // Backfill walks the whole history with its own resumable loop
+  if (config.syncMode === window.YALG_SYNC_MODES.BACKFILL) {
+    await runBackfill();
+    return;
+  }
+  
+  // Incremental sync: stop once we reach posts covered by the last sync
+  const source = ActivitySources.fromUrl();
+  const profileId = SyncCheckpoints.getProfileId();
+  const checkpointId = ActivitySources.checkpointKey(profileId, source);
+  const ownerProfileId = await resolveOwner();
+  const highWaterMark = await SyncCheckpoints.getHighWaterMark(checkpointId);
+  const stopAtMark = config.syncMode !== window.YALG_SYNC_MODES.FULL ? highWaterMark : null;
+  const filters = SyncFilters.normalize(config.filters);
+  const isSynced = await syncedItemCheck(checkpointId, highWaterMark);
+  const metricSnapshots = [];
+  const seenIds = new Set();
+  let oldestSeenAt = null;
+  let reachedStopPoint = false;
+  
+  console.log(`YALG Extension: Collecting from the ${source} activity tab`);
+  if (stopAtMark) {
+    console.log(`YALG Extension: Incremental sync for ${checkpointId}, stopping at ${stopAtMark.urn}`);
+  }
+  if (filters) {
+    console.log('YALG Extension: Applying sync filters', filters);
+  }
+  
   // First phase: Collect all HTML elements
-  while (scrollAttempts < maxScrollAttempts && noNewElementsCount < 3 && isScrapingActive) {
-    // Find all elements with the specific classes
-    const targetSelector = '.feed-shared-update-v2__control-menu-container.display-flex.flex-column.flex-grow-1';
-    const elements = document.querySelectorAll(targetSelector);
+  while (scrollAttempts < maxScrollAttempts && noNewElementsCount < 3 && isScrapingActive && !reachedStopPoint) {
+    if (!(await waitWhilePaused())) {
+      break;
+    }
     
-    console.log(`YALG Extension: Found ${elements.length} elements with target classes`);
+    // Find the items this activity tab renders (posts, own comments or article cards)
+    const items = ActivitySources.findItems(source, ownerProfileId);
+    
+    console.log(`YALG Extension: Found ${items.length} items on the page`);
     
     let newElementsFound = 0;
     
     // Collect elements without processing them yet
-    for (let index = 0; index < elements.length; index++) {
-      const element = elements[index];
-      
-      // Get the parent post container for more context
-      const postContainer = element.closest('.feed-shared-update-v2') || element.closest('[data-urn]') || element;
-      
-      if (postContainer) {
-        const htmlContent = postContainer.outerHTML;
-        const elementId = generateElementId(htmlContent, index);
-        
-        // Check if we already collected this element
-        if (!processedElementIds.has(elementId)) {
-          processedElementIds.add(elementId);
-          newElementsFound++;
-          
-          const elementData = {
-            id: elementId,
-            html: htmlContent,
-            url: window.location.href,
-            timestamp: new Date().toISOString(),
-            elementIndex: index,
-            scrollAttempt: scrollAttempts + 1
-          };
-          
-          collectedElements.push(elementData);
-          console.log(`YALG Extension: Collected element ${collectedElements.length} (ID: ${elementId})`);
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      // Stable id (activity, comment or article URN), so re-rendered items aren't collected twice
+      const elementId = item.id;
+
+      // Check if we already collected this element
+      if (!processedElementIds.has(elementId)) {
+        processedElementIds.add(elementId);
+        newElementsFound++;
+
+        const post = await ActivitySources.extractItem(source, item, ownerProfileId, isSynced);
+
+        // Reposts, comments and reactions carry someone else's (often older) URN,
+        // so they are skipped before the date-based stop checks below
+        if (!ActivitySources.isWanted(source, post, config)) {
+          continue;
+        }
+
+        // Everything from the top of the feed down to the oldest post seen was scanned,
+        // which is what lets the background spot synced posts that have disappeared
+        seenIds.add(elementId);
+        if (post.postedAt && (!oldestSeenAt || post.postedAt < oldestSeenAt)) {
+          oldestSeenAt = post.postedAt;
+        }
+
+        // The feed is newest-first, so everything below the first already-synced post was
+        // synced too and scrolling stops there. A pinned post sits above newer ones, so it
+        // never stops collection.
+        if (!reachedStopPoint && SyncCheckpoints.isStopPoint(post, stopAtMark)) {
+          console.log(`YALG Extension: Reached already-synced post ${post.urn}, stopping collection`);
+          reachedStopPoint = true;
+        }
+
+        // Recent known posts already loaded on the page still get an engagement snapshot, and
+        // are rechecked for edits; the background only re-sends them if their content
+        // fingerprint changed. Nothing is scrolled in just for them.
+        if (SyncCheckpoints.isKnownPost(post, stopAtMark)) {
+          // An article that wasn't fetched again only has its card, nothing to recheck
+          if (isWithinMetricsWindow(post) && !post.alreadySynced) {
+            if (post.metrics) {
+              metricSnapshots.push(PostExtractor.toMetricSnapshot(elementId, post));
+            }
+            const elementData = buildElementData(item.root, elementId, post, index, scrollAttempts + 1, {
+              scope: checkpointId,
+              alreadySynced: true
+            });
+            collectedElements.push(elementData);
+            trackPost(elementData, item.root);
+          }
+          continue;
+        }
+
+        // Past the stop point the feed only holds older, already-synced posts
+        if (reachedStopPoint) {
+          continue;
+        }
+
+        if (SyncFilters.isBeforeRange(post, filters)) {
+          console.log(`YALG Extension: Reached posts older than ${filters.since}, stopping collection`);
+          reachedStopPoint = true;
+          break;
+        }
+
+        if (!SyncFilters.matches(post, filters) || post.alreadySynced) {
+          continue;
         }
+
+        const elementData = buildElementData(item.root, elementId, post, index, scrollAttempts + 1, {
+          scope: checkpointId,
+          alreadySynced: SyncCheckpoints.isKnownPost(post, highWaterMark)
+        });
+        
+        collectedElements.push(elementData);
+        trackPost(elementData, item.root);
+        console.log(`YALG Extension: Collected element ${collectedElements.length} (ID: ${elementId})`);
       }
     }
     
-    console.log(`YALG Extension: Collected ${newElementsFound} new elements in this scroll. Total: ${collectedElements.length}`);
+    console.log(`YALG Extension: Found ${newElementsFound} new items in this scroll. Total collected: ${collectedElements.length}`);
     
     // Update progress during collection
     updateProgressOverlay({
@@ -240,6 +381,10 @@ async function collectHTMLElements() {
       noNewElementsCount = 0;
     }
     
+    if (reachedStopPoint) {
+      break;
+    }
+    
     // Scroll down to load more elements
     window.scrollTo(0, document.body.scrollHeight);
     await wait(2000);
@@ -247,109 +392,457 @@ async function collectHTMLElements() {
     scrollAttempts++;
   }
   
+  if (!isScrapingActive) {
+    // Nothing was uploaded yet; the next sync collects these posts again
+    console.log(`YALG Extension: Collection cancelled after ${collectedElements.length} posts, nothing uploaded`);
+    return;
+  }
+  
   console.log(`YALG Extension: HTML collection completed. Total collected: ${collectedElements.length}`);
   
+  if (metricSnapshots.length > 0) {
+    await sendMetricSnapshots(metricSnapshots);
+  }
+  
+  await reportSeenPosts(checkpointId, Array.from(seenIds), oldestSeenAt);
+  
   // Second phase: Start async processing
-  await processElementsAsync(collectedElements);
+  // A post-type filtered run skips posts, so it must not move the mark past them
+  await processElementsAsync(collectedElements, {
+    profileId: checkpointId,
+    highWaterMark,
+    advanceMark: SyncFilters.coversAllPosts(filters)
+  });
 }
 
-async function processElementsAsync(collectedElements) {
-  console.log(`YALG Extension: Starting async processing of ${collectedElements.length} posts`);
+// `extra` carries upload hints for the background: the checkpoint `scope` and
+// whether the post was `alreadySynced` (older than the high-water mark)
+function buildElementData(postContainer, elementId, post, index, scrollAttempt, extra = {}) {
+  const elementData = {
+    id: elementId,
+    post,
+    url: window.location.href,
+    timestamp: new Date().toISOString(),
+    elementIndex: index,
+    scrollAttempt,
+    ...extra
+  };
+
+  // Raw HTML is optional now that posts are extracted client-side
+  if (config.includeRawHtml) {
+    elementData.html = postContainer.outerHTML;
+  }
+
+  return elementData;
+}
+
+// Own items are told apart by the owner's real slug, even on /in/me/ pages.
+// Checkpoints stay keyed by the slug in the URL.
+async function resolveOwner() {
+  const ownerProfileId = await SyncCheckpoints.resolveOwnerProfileId();
+  if (!ownerProfileId) {
+    console.warn('YALG Extension: Could not work out whose activity this is, own comments will be skipped');
+  }
+  return ownerProfileId;
+}
+
+// Articles are fetched page by page, so ones synced before (by content fingerprint,
+// or older than the high-water mark) are recognised from their card instead
+async function syncedItemCheck(checkpointId, highWaterMark) {
+  const syncedIds = await SyncCheckpoints.getSyncedIds(checkpointId);
+  return record => syncedIds.has(record.id) || SyncCheckpoints.isKnownPost(record, highWaterMark);
+}
+
+function isWithinMetricsWindow(post) {
+  const windowDays = config.metricsWindowDays ?? window.YALG_DEFAULT_CONFIG?.metricsWindowDays ?? 30;
+  if (!post.postedAt || windowDays <= 0) {
+    return false;
+  }
   
-  let totalSuccessful = 0;
-  let totalFailed = 0;
+  return Date.now() - new Date(post.postedAt).getTime() <= windowDays * 24 * 60 * 60 * 1000;
+}
+
+function sendMetricSnapshots(snapshots) {
+  console.log(`YALG Extension: Sending engagement snapshots for ${snapshots.length} synced posts`);
   
-  // Process posts individually
-  const processPost = (element, index) => {
-    console.log(`YALG Extension: 🚀 Queueing post ${index + 1}/${collectedElements.length} (ID: ${element.id})`);
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage({
+      type: 'SEND_METRIC_SNAPSHOTS',
+      data: { snapshots }
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        // Snapshots are best-effort, the next sync sends fresh ones
+        console.error('YALG Extension: Failed to send engagement snapshots:', chrome.runtime.lastError || response?.error);
+      }
+      resolve(Boolean(response?.success));
+    });
+  });
+}
+
+function reportSeenPosts(scope, seenIds, since) {
+  return new Promise(resolve => {
+    chrome.runtime.sendMessage({
+      type: 'REPORT_SEEN_POSTS',
+      data: { scope, seenIds, since }
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        // Best-effort, the next sync checks again
+        console.error('YALG Extension: Failed to check for removed posts:', chrome.runtime.lastError || response?.error);
+      } else if (response.possiblyRemoved > 0) {
+        console.log(`YALG Extension: Reported ${response.possiblyRemoved} possibly removed post(s)`);
+      }
+      resolve(response?.possiblyRemoved || 0);
+    });
+  });
+}
+
+// Hand a chunk of posts to the background upload queue, which sends them through
+// /posts/bulk and answers with one result per post
+function sendBatchToBackground(elements) {
+  return new Promise(resolve => {
+    const failAll = (error) => resolve(elements.map(element => ({ id: element.id, success: false, error, queued: false })));
     
-    // Send to background script for processing
     chrome.runtime.sendMessage({
-      type: 'PROCESS_SINGLE_HTML_ELEMENT',
-      data: element
+      type: 'PROCESS_HTML_BATCH',
+      data: { elements }
     }, (response) => {
       if (chrome.runtime.lastError) {
-        console.error('YALG Extension: Error sending element to background:', chrome.runtime.lastError);
-        totalFailed++;
+        console.error('YALG Extension: Error sending batch to background:', chrome.runtime.lastError);
+        failAll(chrome.runtime.lastError.message);
       } else if (response && response.success) {
-        totalSuccessful++;
-        console.log(`YALG Extension: ✓ Post ${index + 1} queued successfully`);
+        response.results.forEach(result => {
+          if (!result.success) {
+            console.error(`YALG Extension: ✗ Post ${result.id} failed to queue${result.queued ? ', will retry in background' : ''}:`, result.error);
+          }
+        });
+        resolve(response.results);
       } else {
-        totalFailed++;
-        console.error(`YALG Extension: ✗ Post ${index + 1} failed to queue:`, response?.error);
+        console.error('YALG Extension: ✗ Batch failed to queue:', response?.error);
+        failAll(response?.error || 'Batch failed');
+      }
+    });
+  });
+}
+
+// Add a collected post to the overlay's post list. The post's node is kept so
+// "Jump to post" can scroll to it.
+function trackPost(elementData, root) {
+  const entry = { element: elementData, root, status: 'pending', error: null, retrying: false, row: null };
+  postStatuses.set(elementData.id, entry);
+  renderPostRow(entry);
+  renderPostListSummary();
+}
+
+// Results from sendBatchToBackground; unchanged or already acknowledged posts come back skipped
+function applyPostResults(results) {
+  results.forEach(result => {
+    const entry = postStatuses.get(result.id);
+    if (!entry) return;
+
+    entry.status = result.skipped ? 'skipped' : result.success ? 'queued' : 'failed';
+    entry.error = result.success ? null : result.error || 'Upload failed';
+    entry.retrying = Boolean(result.queued);
+    renderPostRow(entry);
+  });
+  renderPostListSummary();
+}
+
+async function retryPost(id) {
+  const entry = postStatuses.get(id);
+  if (!entry || entry.status !== 'failed') return;
+
+  console.log(`YALG Extension: Retrying post ${id}`);
+  entry.status = 'pending';
+  renderPostRow(entry);
+  applyPostResults(await sendBatchToBackground([entry.element]));
+}
+
+// Full-history backfill: no scroll cap, uploads as it goes and checkpoints
+// collected URNs plus scroll position so a reload or crash resumes in place.
+// A paused or cancelled backfill picks up from its checkpoint the next time one starts.
+async function runBackfill() {
+  const source = ActivitySources.fromUrl();
+  const profileId = ActivitySources.checkpointKey(SyncCheckpoints.getProfileId(), source);
+  const ownerProfileId = await resolveOwner();
+  const maxNoNewElements = window.YALG_SCRAPING_LIMITS?.BACKFILL_MAX_NO_NEW_ELEMENTS || 5;
+  const filters = SyncFilters.normalize(config.filters);
+  const previous = await SyncCheckpoints.getBackfillState(profileId);
+  
+  const resumable = ['collecting', 'paused', 'cancelled'].includes(previous?.status);
+  
+  const state = resumable
+    ? { ...previous, status: 'collecting' }
+    : {
+        startedAt: new Date().toISOString(),
+        status: 'collecting',
+        config,
+        collectedIds: [],
+        scrollY: 0,
+        oldestPostedAt: null,
+        newestMark: await SyncCheckpoints.getHighWaterMark(profileId),
+        totalSuccessful: 0,
+        totalFailed: 0
+      };
+  
+  const collectedIds = new Set(state.collectedIds);
+  // Only fingerprints count here: the backfill exists to fill in what's older than the mark
+  const isSynced = await syncedItemCheck(profileId, null);
+  const seenThisRun = new Set();
+  let noNewElementsCount = 0;
+  let scrollAttempts = 0;
+  let reachedStopPoint = false;
+  
+  if (resumable) {
+    console.log(`YALG Extension: Resuming backfill for ${profileId} (${collectedIds.size} posts already collected)`);
+  } else {
+    console.log(`YALG Extension: Starting full-history backfill for ${profileId}`);
+  }
+  
+  await SyncCheckpoints.saveBackfillState(profileId, state);
+  
+  while (noNewElementsCount < maxNoNewElements && isScrapingActive && !reachedStopPoint) {
+    if (isScrapingPaused) {
+      // Checkpoint as paused, so a reload meanwhile doesn't resume on its own
+      await SyncCheckpoints.saveBackfillState(profileId, { ...state, status: 'paused' });
+      if (!(await waitWhilePaused())) {
+        break;
       }
+      await SyncCheckpoints.saveBackfillState(profileId, state);
+    }
+    
+    const items = ActivitySources.findItems(source, ownerProfileId);
+    const batch = [];
+    let newElementsFound = 0;
+    
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const elementId = item.id;
+      if (seenThisRun.has(elementId)) continue;
       
-      const completedCount = totalSuccessful + totalFailed;
+      seenThisRun.add(elementId);
+      newElementsFound++;
       
-      // Update progress overlay
-      updateProgressOverlay({
-        phase: 'queueing',
-        totalProcessed: completedCount,
-        totalElements: collectedElements.length,
-        totalSuccessful,
-        totalFailed
-      });
+      // Already uploaded before the reload, just fast-forward past it
+      if (collectedIds.has(elementId)) continue;
+      
+      const post = await ActivitySources.extractItem(source, item, ownerProfileId, isSynced);
+      
+      if (!ActivitySources.isWanted(source, post, config) || post.alreadySynced) continue;
+      
+      if (SyncFilters.isBeforeRange(post, filters)) {
+        console.log(`YALG Extension: Reached posts older than ${filters.since}, ending backfill`);
+        reachedStopPoint = true;
+        break;
+      }
+      
+      if (!SyncFilters.matches(post, filters)) continue;
+      
+      const elementData = buildElementData(item.root, elementId, post, index, scrollAttempts + 1, { scope: profileId });
+      batch.push(elementData);
+      trackPost(elementData, item.root);
+    }
+    
+    if (batch.length > 0) {
+      const results = await sendBatchToBackground(batch);
+      const failedIds = new Set();
+      applyPostResults(results);
       
-      // Update progress after each post completes
-      chrome.runtime.sendMessage({
-        type: 'SCRAPING_PROGRESS',
-        data: {
-          phase: 'queueing',
-          totalProcessed: completedCount,
-          totalElements: collectedElements.length,
-          totalSuccessful,
-          totalFailed
+      results.forEach((result, i) => {
+        if (result.success) {
+          collectedIds.add(batch[i].id);
+          state.totalSuccessful++;
+        } else {
+          failedIds.add(batch[i].id);
+          state.totalFailed++;
         }
       });
       
-      // Check if all posts are done
-      if (completedCount === collectedElements.length) {
-        console.log(`YALG Extension: 🎉 All posts queued! Total: ${collectedElements.length}, Successful: ${totalSuccessful}, Failed: ${totalFailed}`);
-        
-        // Show completion popup
-        createCompletionPopup({
-          totalProcessed: collectedElements.length,
-          totalSuccessful,
-          totalFailed
-        });
-        
-        // Send final summary
-        chrome.runtime.sendMessage({
-          type: 'SCRAPING_COMPLETE',
-          data: {
-            totalProcessed: collectedElements.length,
-            totalSuccessful,
-            totalFailed
-          }
-        });
+      const oldest = batch
+        .map(element => element.post?.postedAt)
+        .filter(Boolean)
+        .sort()[0];
+      if (oldest && (!state.oldestPostedAt || oldest < state.oldestPostedAt)) {
+        state.oldestPostedAt = oldest;
       }
-    });
-  };
+      
+      state.newestMark = SyncCheckpoints.computeNextMark(batch, failedIds, state.newestMark);
+    }
+    
+    noNewElementsCount = newElementsFound === 0 ? noNewElementsCount + 1 : 0;
+    
+    state.collectedIds = Array.from(collectedIds);
+    state.scrollY = Math.max(state.scrollY, window.scrollY);
+    await SyncCheckpoints.saveBackfillState(profileId, state);
+    
+    const progress = {
+      phase: 'backfilling',
+      totalCollected: collectedIds.size,
+      totalSuccessful: state.totalSuccessful,
+      totalFailed: state.totalFailed,
+      oldestPostedAt: state.oldestPostedAt,
+      scrollAttempt: scrollAttempts + 1
+    };
+    updateProgressOverlay(progress);
+    chrome.runtime.sendMessage({ type: 'SCRAPING_PROGRESS', data: progress });
+    
+    // Scroll down to load older posts; while still short of the saved
+    // position there is nothing new to upload, so don't wait as long
+    const catchingUp = document.body.scrollHeight < state.scrollY;
+    window.scrollTo(0, document.body.scrollHeight);
+    await wait(catchingUp ? window.YALG_DELAYS.CONTENT_LOAD : window.YALG_DELAYS.SCROLL_WAIT);
+    
+    scrollAttempts++;
+  }
   
-  // Fire all posts with small delays
-  collectedElements.forEach((element, index) => {
-    setTimeout(() => {
-      processPost(element, index);
-    }, index * 100); // 100ms delay between each post
-  });
+  if (!isScrapingActive) {
+    console.log('YALG Extension: Backfill cancelled, checkpoint kept for later');
+    await SyncCheckpoints.saveBackfillState(profileId, { ...state, status: 'cancelled' });
+    return;
+  }
+  
+  console.log(`YALG Extension: Backfill complete. Total collected: ${collectedIds.size}`);
+  
+  await SyncCheckpoints.clearBackfillState(profileId);
+  if (state.newestMark && SyncFilters.coversAllPosts(filters)) {
+    await SyncCheckpoints.setHighWaterMark(profileId, state.newestMark);
+  }
+  
+  const summary = {
+    totalProcessed: state.totalSuccessful + state.totalFailed,
+    totalSuccessful: state.totalSuccessful,
+    totalFailed: state.totalFailed,
+    oldestPostedAt: state.oldestPostedAt
+  };
+  createCompletionPopup(summary);
+  chrome.runtime.sendMessage({ type: 'SCRAPING_COMPLETE', data: summary });
 }
 
-function generateElementId(htmlContent, index) {
-  // Create a simple hash from the HTML content
-  let hash = 0;
-  const str = htmlContent.substring(0, 500) + index;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
+async function processElementsAsync(collectedElements, checkpoint = {}) {
+  console.log(`YALG Extension: Starting async processing of ${collectedElements.length} posts`);
+  
+  let totalSuccessful = 0;
+  let totalFailed = 0;
+  let totalRetrying = 0;
+  let totalUnchanged = 0;
+  let totalUpdated = 0;
+  const failedIds = new Set();
+  
+  // Nothing new since the last sync
+  if (collectedElements.length === 0) {
+    const summary = { totalProcessed: 0, totalSuccessful: 0, totalFailed: 0 };
+    createCompletionPopup(summary);
+    chrome.runtime.sendMessage({ type: 'SCRAPING_COMPLETE', data: summary });
+    return;
+  }
+  
+  // Upload in chunks; the background splits each chunk into adaptive bulk batches
+  const chunkSize = window.YALG_BULK_UPLOAD?.CHUNK_SIZE || 50;
+  
+  for (let start = 0; start < collectedElements.length; start += chunkSize) {
+    if (!(await waitWhilePaused())) {
+      // Uploaded posts stay uploaded; the mark doesn't move, so the next sync sends the rest
+      console.log(`YALG Extension: Sync cancelled after ${start}/${collectedElements.length} posts`);
+      return;
+    }
+    
+    const chunk = collectedElements.slice(start, start + chunkSize);
+    console.log(`YALG Extension: 🚀 Queueing posts ${start + 1}-${start + chunk.length}/${collectedElements.length}`);
+    
+    const results = await sendBatchToBackground(chunk);
+    applyPostResults(results);
+    
+    results.forEach(result => {
+      if (result.skipped) {
+        // Already synced and not edited since
+        totalUnchanged++;
+      } else if (result.success) {
+        totalSuccessful++;
+        if (result.event === window.YALG_POST_EVENTS?.UPDATED) {
+          totalUpdated++;
+        }
+      } else {
+        totalFailed++;
+        failedIds.add(result.id);
+        if (result.queued) {
+          // The background upload queue keeps the post and retries it with backoff
+          totalRetrying++;
+        }
+      }
+    });
+    
+    const progress = {
+      phase: 'queueing',
+      totalProcessed: totalSuccessful + totalFailed + totalUnchanged,
+      totalElements: collectedElements.length,
+      totalSuccessful,
+      totalFailed
+    };
+    
+    // Update progress overlay and popup after each chunk
+    updateProgressOverlay(progress);
+    chrome.runtime.sendMessage({ type: 'SCRAPING_PROGRESS', data: progress });
+  }
+  
+  console.log(`YALG Extension: 🎉 All posts queued! Total: ${collectedElements.length}, Successful: ${totalSuccessful} (${totalUpdated} edited), Unchanged: ${totalUnchanged}, Failed: ${totalFailed}`);
+  
+  // Advance the high-water mark so the next sync stops here
+  const nextMark = SyncCheckpoints.computeNextMark(collectedElements, failedIds, checkpoint.highWaterMark);
+  if (checkpoint.advanceMark !== false && nextMark && nextMark !== checkpoint.highWaterMark) {
+    await SyncCheckpoints.setHighWaterMark(checkpoint.profileId, nextMark);
   }
-  return Math.abs(hash).toString(36).substring(0, 12);
+  
+  const summary = {
+    totalProcessed: collectedElements.length,
+    totalSuccessful,
+    totalFailed,
+    totalRetrying,
+    totalUnchanged,
+    totalUpdated
+  };
+  
+  // Show completion popup and send final summary
+  createCompletionPopup(summary);
+  chrome.runtime.sendMessage({ type: 'SCRAPING_COMPLETE', data: summary });
 }
 
 function wait(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Pause only takes effect between steps, so the scroll or upload in flight finishes first
+function setScrapingPaused(paused) {
+  if (!isScrapingActive || isScrapingPaused === paused) {
+    return;
+  }
+  
+  console.log(`YALG Extension: Sync ${paused ? 'paused' : 'resumed'}`);
+  isScrapingPaused = paused;
+  
+  const pauseBtn = document.getElementById('yalg-pause-btn');
+  const activityEl = document.getElementById('yalg-activity-text');
+  if (pauseBtn) {
+    pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+  }
+  if (activityEl) {
+    activityEl.textContent = paused ? 'Pausing after the current step...' : 'Resuming...';
+  }
+}
+
+// Resolves once the sync isn't paused; false means it was cancelled meanwhile
+async function waitWhilePaused() {
+  if (isScrapingPaused && isScrapingActive) {
+    const statusEl = document.getElementById('yalg-progress-status');
+    const activityEl = document.getElementById('yalg-activity-text');
+    if (statusEl) statusEl.textContent = 'Sync Paused';
+    if (activityEl) activityEl.textContent = 'Posts sent so far are kept. Resume to continue where you left off.';
+  }
+  
+  while (isScrapingPaused && isScrapingActive) {
+    await wait(500);
+  }
+  return isScrapingActive;
+}
+
 // UI Functions (simplified versions)
 function createProgressOverlay() {
   if (progressOverlay) {
@@ -403,30 +896,52 @@ function createProgressOverlay() {
           <div id="yalg-activity-text">Starting collection process...</div>
         </div>
 
-        <!-- Cancel Button -->
-        <button id="yalg-cancel-btn" style="margin-top: 20px; background: #f1f5f9; color: #475569; border: 1px solid #cbd5e1; padding: 8px 16px; border-radius: 8px; cursor: pointer; font-size: 14px; font-weight: 500; transition: all 0.2s;">
-          Cancel Collection
-        </button>
+        <!-- Post List -->
+        <div id="yalg-post-list-slot"></div>
+
+        <!-- Controls -->
+        <div style="display: flex; gap: 12px; justify-content: center; margin-top: 20px;">
+          <button id="yalg-pause-btn" style="background: #f1f5f9; color: #475569; border: 1px solid #cbd5e1; padding: 8px 16px; border-radius: 8px; cursor: pointer; font-size: 14px; font-weight: 500; transition: all 0.2s;">
+            Pause
+          </button>
+          <button id="yalg-cancel-btn" style="background: #f1f5f9; color: #475569; border: 1px solid #cbd5e1; padding: 8px 16px; border-radius: 8px; cursor: pointer; font-size: 14px; font-weight: 500; transition: all 0.2s;">
+            Cancel Collection
+          </button>
+        </div>
       </div>
     </div>
   `;
 
   document.body.appendChild(progressOverlay);
 
-  // Add cancel functionality with proper event listener
+  // A new sync starts with an empty post list
+  postStatuses.clear();
+  document.getElementById('yalg-return-btn')?.remove();
+  document.getElementById('yalg-post-list-slot').appendChild(createPostListPanel());
+
+  // Add pause and cancel functionality with proper event listeners
   setTimeout(() => {
+    const pauseBtn = document.getElementById('yalg-pause-btn');
+    if (pauseBtn) {
+      pauseBtn.addEventListener('click', () => {
+        const paused = !isScrapingPaused;
+        setScrapingPaused(paused);
+        
+        // Keep the sync session (and the popup) in step
+        chrome.runtime.sendMessage({ type: paused ? 'PAUSE_SYNC' : 'RESUME_SYNC' });
+      });
+    }
+    
     const cancelBtn = document.getElementById('yalg-cancel-btn');
     if (cancelBtn) {
       cancelBtn.addEventListener('click', () => {
-        if (confirm('Are you sure you want to cancel the collection process?')) {
+        if (confirm('Are you sure you want to cancel the collection process? Posts already sent are kept.')) {
           console.log('YALG Extension: User cancelled scraping process');
           isScrapingActive = false;
+          isScrapingPaused = false;
           
-          // Send cancellation message to background
-          chrome.runtime.sendMessage({
-            type: 'SCRAPING_ERROR',
-            error: 'Collection cancelled by user'
-          });
+          // Close the sync session; the background records it as cancelled
+          chrome.runtime.sendMessage({ type: 'CANCEL_SYNC' });
           
           if (progressOverlay) {
             progressOverlay.remove();
@@ -462,6 +977,21 @@ function updateProgressOverlay(data) {
     
     activityEl.textContent = `Scroll attempt ${data.scrollAttempt}/${data.maxAttempts} - Found ${data.totalCollected} posts so far`;
     
+  } else if (data.phase === 'backfilling') {
+    statusEl.textContent = 'Backfilling Your Post History';
+    substatusEl.textContent = data.oldestPostedAt
+      ? `Reached posts from ${formatBackfillDate(data.oldestPostedAt)}`
+      : 'Scrolling back through your activity feed...';
+    
+    // No known end point, so show an indeterminate bar
+    progressEl.style.width = '50%';
+    
+    collectedEl.textContent = data.totalCollected || 0;
+    successEl.textContent = data.totalSuccessful || 0;
+    errorsEl.textContent = data.totalFailed || 0;
+    
+    activityEl.textContent = `Scroll ${data.scrollAttempt} - ${data.totalCollected} posts sent so far`;
+    
   } else if (data.phase === 'queueing') {
     statusEl.textContent = 'Processing Your Posts';
     substatusEl.textContent = `Sending posts to YALG AI for analysis and processing...`;
@@ -480,6 +1010,161 @@ function updateProgressOverlay(data) {
   }
 }
 
+const POST_STATUS_STYLES = {
+  pending: { label: 'Pending', color: '#64748b', background: '#f1f5f9' },
+  queued: { label: 'Queued', color: '#15803d', background: '#dcfce7' },
+  failed: { label: 'Failed', color: '#b91c1c', background: '#fee2e2' },
+  skipped: { label: 'Skipped (duplicate)', color: '#92400e', background: '#fef3c7' }
+};
+
+// Expandable list with a row per post. It moves from the progress overlay
+// to the completion popup, so failed posts can still be retried at the end.
+function createPostListPanel() {
+  postListPanel = document.createElement('details');
+  postListPanel.id = 'yalg-post-list';
+  postListPanel.style.cssText = 'margin-top: 16px; text-align: left; font-size: 13px; color: #475569;';
+  postListPanel.innerHTML = `
+    <summary id="yalg-post-list-summary" style="cursor: pointer; font-weight: 600; color: #374151;">Posts (0)</summary>
+    <div id="yalg-post-list-rows" style="max-height: 240px; overflow-y: auto; margin-top: 8px; border: 1px solid #e2e8f0; border-radius: 8px;"></div>
+  `;
+
+  postListPanel.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    if (button.dataset.action === 'retry') {
+      retryPost(button.dataset.postId);
+    } else {
+      jumpToPost(button.dataset.postId);
+    }
+  });
+
+  return postListPanel;
+}
+
+function renderPostListSummary() {
+  const summaryEl = postListPanel?.querySelector('#yalg-post-list-summary');
+  if (!summaryEl) return;
+
+  const counts = {};
+  postStatuses.forEach(entry => {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  });
+
+  const breakdown = Object.keys(POST_STATUS_STYLES)
+    .filter(status => counts[status])
+    .map(status => `${counts[status]} ${POST_STATUS_STYLES[status].label.toLowerCase()}`);
+  summaryEl.textContent = `Posts (${postStatuses.size})${breakdown.length ? ` - ${breakdown.join(', ')}` : ''}`;
+}
+
+function renderPostRow(entry) {
+  if (!postListPanel) return;
+
+  if (!entry.row) {
+    entry.row = document.createElement('div');
+    entry.row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 8px 10px; border-bottom: 1px solid #f1f5f9;';
+    postListPanel.querySelector('#yalg-post-list-rows').appendChild(entry.row);
+  }
+
+  const { id, post } = entry.element;
+  const style = POST_STATUS_STYLES[entry.status];
+
+  // Post text is page content, so it only ever goes in as textContent
+  const info = document.createElement('div');
+  info.style.cssText = 'flex: 1; min-width: 0;';
+  const snippet = document.createElement('div');
+  snippet.style.cssText = 'white-space: nowrap; overflow: hidden; text-overflow: ellipsis; color: #1f2937;';
+  snippet.textContent = (post?.text || post?.title || '').replace(/\s+/g, ' ').trim().slice(0, 120) || '(no text)';
+  const meta = document.createElement('div');
+  meta.style.cssText = 'font-size: 11px; color: #94a3b8;';
+  meta.textContent = [
+    post?.postedAt ? formatBackfillDate(post.postedAt) : post?.postedRelative,
+    post?.postType || post?.activityType
+  ].filter(Boolean).join(' · ');
+  info.append(snippet, meta);
+
+  const badge = document.createElement('span');
+  badge.style.cssText = `flex-shrink: 0; padding: 2px 8px; border-radius: 999px; font-size: 11px; font-weight: 600; color: ${style.color}; background: ${style.background};`;
+  badge.textContent = entry.status === 'failed' && entry.retrying ? `${style.label}, retrying` : style.label;
+  badge.title = entry.error || '';
+
+  const buttons = [];
+  if (entry.status === 'failed') {
+    buttons.push(createPostRowButton('Retry', 'retry', id));
+  }
+  buttons.push(createPostRowButton('Jump to post', 'jump', id));
+
+  entry.row.replaceChildren(info, badge, ...buttons);
+}
+
+function createPostRowButton(label, action, postId) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.dataset.action = action;
+  button.dataset.postId = postId;
+  button.style.cssText = 'flex-shrink: 0; background: #f1f5f9; color: #475569; border: 1px solid #cbd5e1; padding: 4px 8px; border-radius: 6px; cursor: pointer; font-size: 12px;';
+  return button;
+}
+
+// Hide the overlay and scroll the feed to the post. A running sync is paused
+// first, or its next scroll would carry the page away again.
+async function jumpToPost(id) {
+  const entry = postStatuses.get(id);
+  if (!entry) return;
+
+  // LinkedIn re-renders the feed, so look the post up again if its node is gone
+  const root = entry.root?.isConnected
+    ? entry.root
+    : ActivitySources.findItems(ActivitySources.fromUrl(), await SyncCheckpoints.resolveOwnerProfileId()).find(item => item.id === id)?.root;
+
+  if (!root) {
+    const button = entry.row?.querySelector('button[data-action="jump"]');
+    if (button) button.textContent = 'No longer on the page';
+    return;
+  }
+  entry.root = root;
+
+  if (isScrapingActive && !isScrapingPaused) {
+    setScrapingPaused(true);
+    chrome.runtime.sendMessage({ type: 'PAUSE_SYNC' });
+  }
+
+  const overlay = postListPanel.closest('#yalg-progress-overlay, #yalg-completion-overlay');
+  if (overlay) {
+    overlay.style.display = 'none';
+    showReturnButton(overlay);
+  }
+
+  root.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  const { outline, outlineOffset } = root.style;
+  root.style.outline = '3px solid #ff3366';
+  root.style.outlineOffset = '4px';
+  setTimeout(() => {
+    root.style.outline = outline;
+    root.style.outlineOffset = outlineOffset;
+  }, 3000);
+}
+
+function showReturnButton(overlay) {
+  document.getElementById('yalg-return-btn')?.remove();
+
+  const button = document.createElement('button');
+  button.id = 'yalg-return-btn';
+  button.textContent = 'Back to YALG sync';
+  button.style.cssText = 'position: fixed; bottom: 24px; right: 24px; z-index: 999999; background: linear-gradient(135deg, #ff3366, #ff6b9d); color: white; border: none; padding: 10px 16px; border-radius: 8px; cursor: pointer; font-family: Inter, sans-serif; font-size: 14px; font-weight: 600; box-shadow: 0 4px 12px rgba(255, 51, 102, 0.3);';
+  button.addEventListener('click', () => {
+    overlay.style.display = '';
+    button.remove();
+  });
+
+  document.body.appendChild(button);
+}
+
+function formatBackfillDate(isoString) {
+  return new Date(isoString).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
 function createCompletionPopup(data) {
   if (progressOverlay) {
     progressOverlay.remove();
@@ -487,6 +1172,7 @@ function createCompletionPopup(data) {
   }
 
   const completionOverlay = document.createElement('div');
+  completionOverlay.id = 'yalg-completion-overlay';
   completionOverlay.innerHTML = `
     <div style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0, 0, 0, 0.8); z-index: 999999; display: flex; align-items: center; justify-content: center; font-family: Inter, sans-serif;">
       <div style="background: white; border-radius: 16px; padding: 24px; max-width: 520px; width: 90%; text-align: center; box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);">
@@ -517,7 +1203,7 @@ function createCompletionPopup(data) {
           <div style="background: linear-gradient(135deg, #fef2f2, #fef7f7); padding: 16px; border-radius: 10px; border: 1px solid #fecaca;">
             <div style="font-size: 28px; font-weight: bold; color: #ef4444; margin-bottom: 2px;">${data.totalFailed}</div>
             <div style="font-size: 13px; color: #6b7280; font-weight: 600;">Failed</div>
-            <div style="font-size: 11px; color: #9ca3af;">Processing errors</div>
+            <div style="font-size: 11px; color: #9ca3af;">${data.totalRetrying ? `${data.totalRetrying} retrying in background` : 'Processing errors'}</div>
           </div>
         </div>
 
@@ -530,6 +1216,9 @@ function createCompletionPopup(data) {
           <div style="font-size: 13px; color: #6b7280;">This may take a few minutes. You can check your progress in the YALG dashboard.</div>
         </div>
 
+        <!-- Post List -->
+        <div id="yalg-post-list-slot" style="margin-bottom: 20px;"></div>
+
         <!-- Action Buttons -->
         <div style="display: flex; gap: 10px; justify-content: center; flex-wrap: wrap; margin-bottom: 12px;">
           <button id="yalg-dashboard-btn" style="background: linear-gradient(135deg, #ff3366, #ff6b9d); color: white; border: none; padding: 12px 20px; border-radius: 8px; cursor: pointer; font-size: 14px; font-weight: 600; display: flex; align-items: center; gap: 6px; transition: all 0.2s; box-shadow: 0 4px 12px rgba(255, 51, 102, 0.3);">
@@ -569,6 +1258,10 @@ function createCompletionPopup(data) {
 
   document.body.appendChild(completionOverlay);
 
+  if (postListPanel && postStatuses.size > 0) {
+    document.getElementById('yalg-post-list-slot').appendChild(postListPanel);
+  }
+
   // Add event listeners
   const dashboardBtn = document.getElementById('yalg-dashboard-btn');
   const stayBtn = document.getElementById('yalg-stay-btn');
@@ -600,6 +1293,10 @@ function createCompletionPopup(data) {
   let countdown = 60;
   const countdownEl = document.getElementById('yalg-countdown');
   const countdownInterval = setInterval(() => {
+    // Held while the post list is open, so retries and jumps aren't cut short
+    if (postListPanel?.open && completionOverlay.contains(postListPanel)) {
+      return;
+    }
     countdown--;
     if (countdownEl) {
       countdownEl.textContent = countdown;
@@ -0,0 +1,306 @@
+/**
+ * Post Actions
+ * Adds YALG buttons next to the control menu of every post on feed and
+ * profile pages:
+ * - "Save to YALG" imports a single post of the signed-in member's own
+ *   without running a sync, through the same upload pipeline as a sync.
+ *   Anyone else's post is refused; that is what "Inspiration" is for.
+ * - "Inspiration" saves anyone's post, with an optional note and tags, to
+ *   the user's YALG swipe file.
+ *
+ * LinkedIn re-renders posts as the feed updates, which drops the buttons, so a
+ * MutationObserver puts them back; each post's state is kept by post id.
+ *
+ * Loaded as a classic content script (after the extractors) and exposed globally.
+ */
+
+class PostActions {
+  static get SELECTORS() {
+    return globalThis.YALG_LINKEDIN_SELECTORS || {};
+  }
+
+  static get CONTAINER_CLASS() {
+    return 'yalg-post-actions';
+  }
+
+  // Delay between a DOM change and re-scanning for posts, LinkedIn mutates in bursts
+  static get SCAN_DELAY() {
+    return 300;
+  }
+
+  // Button label and colour per action and state
+  static get ACTIONS() {
+    return {
+      save: {
+        idle: { label: 'Save to YALG', color: '#ff3366' },
+        saving: { label: 'Saving...', color: '#64748b' },
+        saved: { label: 'Saved to YALG ✓', color: '#16a34a' },
+        skipped: { label: 'Already in YALG', color: '#16a34a' },
+        retrying: { label: 'Queued, retrying', color: '#d97706' },
+        failed: { label: 'Save failed, retry', color: '#dc2626' },
+        notOwned: { label: 'Not your post', color: '#64748b' }
+      },
+      inspire: {
+        idle: { label: 'Inspiration', color: '#7c3aed' },
+        saving: { label: 'Saving...', color: '#64748b' },
+        saved: { label: 'In swipe file ✓', color: '#16a34a' },
+        failed: { label: 'Save failed, retry', color: '#dc2626' }
+      }
+    };
+  }
+
+  /**
+   * Inject buttons into the posts on the page and keep doing so as LinkedIn renders more
+   */
+  static start() {
+    if (this._observer) {
+      return;
+    }
+
+    // `<action>:<post id>` → `{ state, error }`, survives the post's node being replaced
+    this._states = new Map();
+    this._scanTimer = null;
+
+    this._observer = new MutationObserver(() => this.scheduleScan());
+    this._observer.observe(document.body, { childList: true, subtree: true });
+    this.injectAll();
+  }
+
+  static scheduleScan() {
+    if (this._scanTimer) {
+      return;
+    }
+
+    this._scanTimer = setTimeout(() => {
+      this._scanTimer = null;
+      this.injectAll();
+    }, this.SCAN_DELAY);
+  }
+
+  /**
+   * Feed and profile pages (including activity tabs) list posts; LinkedIn
+   * navigates without reloading, so this is checked on every scan
+   * @returns {boolean}
+   */
+  static isSupportedPage(pathname = window.location.pathname) {
+    return pathname.startsWith('/feed') || pathname.startsWith('/in/');
+  }
+
+  static injectAll() {
+    if (!this.isSupportedPage()) {
+      return;
+    }
+
+    document.querySelectorAll(this.SELECTORS.POST_ROOT).forEach(root => this.inject(root));
+  }
+
+  /**
+   * Add the buttons to one post, unless it already has them
+   * @param {Element} root - Post root element
+   */
+  static inject(root) {
+    const menu = root.querySelector(this.SELECTORS.POST_CONTROL_MENU);
+    if (!menu || menu.parentElement.querySelector(`:scope > .${this.CONTAINER_CLASS}`)) {
+      return;
+    }
+
+    const postId = PostExtractor.resolvePostId(root);
+    const container = document.createElement('span');
+    container.className = this.CONTAINER_CLASS;
+    container.style.cssText = 'display: inline-flex; align-self: center; gap: 4px; margin-right: 4px;';
+
+    container.append(
+      this.createButton('save', postId, () => this.save(root, postId)),
+      this.createButton('inspire', postId, () => this.openInspirationForm(root, postId))
+    );
+
+    menu.before(container);
+  }
+
+  static createButton(action, postId, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    button.dataset.postId = postId;
+    button.style.cssText = 'background: transparent; border: 1px solid currentColor; padding: 2px 10px; border-radius: 999px; cursor: pointer; font-size: 12px; font-weight: 600; white-space: nowrap;';
+    button.addEventListener('click', (event) => {
+      // Keep LinkedIn from treating the click as opening the post
+      event.preventDefault();
+      event.stopPropagation();
+      onClick();
+    });
+
+    this.render(button, this._states.get(`${action}:${postId}`));
+    return button;
+  }
+
+  /**
+   * Extract the post and send it to the background upload pipeline
+   * @param {Element} root - Post root element
+   * @param {string} postId - Post id
+   */
+  static async save(root, postId) {
+    if (['saving', 'saved', 'skipped', 'notOwned'].includes(this._states.get(`save:${postId}`)?.state)) {
+      return;
+    }
+
+    const memberProfileId = await SyncCheckpoints.resolveMemberProfileId();
+    if (!memberProfileId) {
+      this.update('save', postId, {
+        state: 'failed',
+        error: 'YALG doesn\'t know your LinkedIn profile yet. Open your LinkedIn feed once, then try again.'
+      });
+      return;
+    }
+
+    // The classifier counts an unknown owner as the author, so it always gets the member
+    const post = PostExtractor.extract(root);
+    post.activityType = ActivityClassifier.classify(root, post, memberProfileId);
+
+    if (!ActivityClassifier.isUserAuthored(post.activityType)) {
+      this.update('save', postId, { state: 'notOwned', error: 'Only posts you wrote can be imported. Use Inspiration to keep someone else\'s post.' });
+      return;
+    }
+
+    this.update('save', postId, { state: 'saving' });
+
+    const result = await this.sendToBackground('SAVE_POST', this.buildElementData(post, memberProfileId));
+
+    if (result.skipped) {
+      this.update('save', postId, { state: 'skipped' });
+    } else if (result.success) {
+      this.update('save', postId, { state: 'saved' });
+    } else {
+      console.error(`YALG Extension: ✗ Post ${postId} failed to save${result.queued ? ', will retry in background' : ''}:`, result.error);
+      this.update('save', postId, { state: result.queued ? 'retrying' : 'failed', error: result.error });
+    }
+  }
+
+  /**
+   * Element in the shape a sync sends. The scope is the member's checkpoint,
+   * so a saved post counts as synced for later syncs.
+   * @param {Object} post - Extracted post record
+   * @param {string} memberProfileId - Signed-in member, the post's author
+   * @returns {Object} Element data
+   */
+  static buildElementData(post, memberProfileId) {
+    return {
+      id: post.id,
+      post,
+      url: window.location.href,
+      timestamp: new Date().toISOString(),
+      scope: ActivitySources.checkpointKey(memberProfileId, ActivitySources.SOURCES.ALL)
+    };
+  }
+
+  /**
+   * Ask for an optional note and tags, then save the post to the swipe file.
+   * The post is extracted up front, while its node is certainly on the page.
+   * @param {Element} root - Post root element
+   * @param {string} postId - Post id
+   */
+  static openInspirationForm(root, postId) {
+    const state = this._states.get(`inspire:${postId}`)?.state;
+    if (state === 'saving' || state === 'saved') {
+      return;
+    }
+
+    const post = PostExtractor.extract(root);
+    document.getElementById('yalg-inspiration-form')?.remove();
+
+    const form = document.createElement('div');
+    form.id = 'yalg-inspiration-form';
+    form.innerHTML = `
+      <div style="position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0, 0, 0, 0.5); z-index: 999999; display: flex; align-items: center; justify-content: center; font-family: Inter, sans-serif;">
+        <form style="background: white; border-radius: 12px; padding: 20px; max-width: 420px; width: 90%; text-align: left; box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.25);">
+          <div style="font-size: 16px; font-weight: 600; color: #1f2937; margin-bottom: 4px;">Save to your swipe file</div>
+          <div data-field="author" style="font-size: 13px; color: #6b7280; margin-bottom: 12px;"></div>
+          <label style="display: block; font-size: 13px; font-weight: 500; color: #374151; margin-bottom: 4px;">Note (optional)</label>
+          <textarea name="note" rows="3" placeholder="What do you like about this post?" style="width: 100%; box-sizing: border-box; border: 1px solid #cbd5e1; border-radius: 8px; padding: 8px; font-size: 13px; margin-bottom: 12px;"></textarea>
+          <label style="display: block; font-size: 13px; font-weight: 500; color: #374151; margin-bottom: 4px;">Tags (optional, comma separated)</label>
+          <input name="tags" type="text" placeholder="hook, storytelling" style="width: 100%; box-sizing: border-box; border: 1px solid #cbd5e1; border-radius: 8px; padding: 8px; font-size: 13px; margin-bottom: 16px;">
+          <div style="display: flex; gap: 8px; justify-content: flex-end;">
+            <button type="button" data-role="cancel" style="background: #f1f5f9; color: #475569; border: 1px solid #cbd5e1; padding: 8px 16px; border-radius: 8px; cursor: pointer; font-size: 14px;">Cancel</button>
+            <button type="submit" style="background: #7c3aed; color: white; border: none; padding: 8px 16px; border-radius: 8px; cursor: pointer; font-size: 14px; font-weight: 600;">Save</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    // Author name is page content, so it only ever goes in as textContent
+    form.querySelector('[data-field="author"]').textContent = post.author?.name ? `Post by ${post.author.name}` : '';
+
+    form.querySelector('[data-role="cancel"]').addEventListener('click', () => form.remove());
+    form.querySelector('form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      const fields = event.target.elements;
+      const note = fields.note.value.trim() || null;
+      const tags = fields.tags.value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+      form.remove();
+      this.saveInspiration(postId, post, note, tags);
+    });
+
+    document.body.appendChild(form);
+    form.querySelector('textarea').focus();
+  }
+
+  static async saveInspiration(postId, post, note, tags) {
+    this.update('inspire', postId, { state: 'saving' });
+
+    const result = await this.sendToBackground('SAVE_INSPIRATION', {
+      post,
+      note,
+      tags,
+      url: window.location.href
+    });
+
+    if (result.success) {
+      this.update('inspire', postId, { state: 'saved' });
+    } else {
+      console.error(`YALG Extension: ✗ Post ${postId} failed to save as inspiration:`, result.error);
+      this.update('inspire', postId, { state: 'failed', error: result.error });
+    }
+  }
+
+  static sendToBackground(type, data) {
+    return new Promise(resolve => {
+      chrome.runtime.sendMessage({ type, data }, (response) => {
+        if (chrome.runtime.lastError) {
+          resolve({ success: false, error: chrome.runtime.lastError.message, queued: false });
+        } else {
+          resolve(response || { success: false, error: 'No response from the extension', queued: false });
+        }
+      });
+    });
+  }
+
+  /**
+   * Record a post's state for an action and update every button shown for it
+   * @param {string} action - Key of ACTIONS
+   * @param {string} postId - Post id
+   * @param {Object} state - `{ state, error? }`
+   */
+  static update(action, postId, state) {
+    this._states.set(`${action}:${postId}`, state);
+
+    document.querySelectorAll(`.${this.CONTAINER_CLASS} button[data-action="${action}"]`).forEach(button => {
+      if (button.dataset.postId === postId) {
+        this.render(button, state);
+      }
+    });
+  }
+
+  static render(button, state = { state: 'idle' }) {
+    const { label, color } = this.ACTIONS[button.dataset.action][state.state];
+    button.textContent = label;
+    button.style.color = color;
+    button.title = state.error || '';
+    button.disabled = state.state === 'saving';
+  }
+}
+
+// Make post actions available to content.js
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_POST_ACTIONS = PostActions;
+}
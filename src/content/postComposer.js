@@ -0,0 +1,212 @@
+/**
+ * Post Composer
+ * Opens LinkedIn's "Start a post" share box and fills it with a YALG draft.
+ * It never presses Post: the user reviews the draft and publishes it.
+ *
+ * Once the user does press Post, the new post is looked for at the top of
+ * the page and its URN is reported back, linking the draft to what was published.
+ *
+ * Loaded as a classic content script (after constants.js) and exposed globally.
+ */
+
+class PostComposer {
+  static get SELECTORS() {
+    return globalThis.YALG_LINKEDIN_SELECTORS || {};
+  }
+
+  // How long to wait for the share box to open after clicking "Start a post"
+  static get OPEN_TIMEOUT() {
+    return 10000;
+  }
+
+  // How long after Post is pressed the published post is looked for
+  static get PUBLISH_TIMEOUT() {
+    return 60000;
+  }
+
+  // Leading characters of the submitted text a published post has to start with
+  static get MATCH_LENGTH() {
+    return 100;
+  }
+
+  /**
+   * Open the share box (unless it is already open) and put the draft in it
+   * @param {string} text - Draft text
+   * @param {string|null} draftId - YALG draft, watched for publication when set
+   * @returns {Promise<Object>} `{ success, error? }`
+   */
+  static async fill(text, draftId = null) {
+    let editor = this.findEditor();
+
+    if (!editor) {
+      const trigger = document.querySelector(this.SELECTORS.SHARE_BOX_TRIGGER);
+      if (!trigger) {
+        return { success: false, error: 'Could not find LinkedIn\'s "Start a post" button on this page' };
+      }
+
+      trigger.click();
+      editor = await this.waitForEditor();
+      if (!editor) {
+        return { success: false, error: 'LinkedIn\'s post composer did not open' };
+      }
+    }
+
+    // Don't silently throw away something the user was already writing
+    if (editor.textContent.trim() && !confirm('Replace the text in the LinkedIn composer with the YALG draft?')) {
+      return { success: false, error: 'Kept the text already in the LinkedIn composer' };
+    }
+
+    this.setText(editor, text);
+    console.log('YALG Extension: Draft placed in the LinkedIn composer, waiting for the user to post it');
+
+    if (draftId) {
+      this.trackDraft(draftId);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Remember which draft is in the composer until the user presses Post.
+   * Inserting another draft replaces it.
+   * @param {string} draftId - YALG draft id
+   */
+  static trackDraft(draftId) {
+    this._pendingDraft = { draftId, insertedAt: Date.now() };
+
+    if (!this._submitListener) {
+      // Capture phase, so the composer's text is read before LinkedIn clears it
+      this._submitListener = (event) => this.handleSubmitClick(event);
+      document.addEventListener('click', this._submitListener, true);
+    }
+  }
+
+  static handleSubmitClick(event) {
+    if (!this._pendingDraft || !event.target.closest(this.SELECTORS.SHARE_SUBMIT)) {
+      return;
+    }
+
+    // What gets published is what's in the composer now, edits included
+    const submittedText = this.findEditor()?.innerText || '';
+    const knownIds = new Set(Array.from(document.querySelectorAll(this.SELECTORS.POST_ROOT))
+      .map(root => PostExtractor.resolvePostId(root)));
+    const draft = this._pendingDraft;
+    this._pendingDraft = null;
+
+    console.log(`YALG Extension: Draft ${draft.draftId} submitted, looking for the published post`);
+    this.watchForPublishedPost(draft, submittedText, knownIds);
+  }
+
+  /**
+   * Poll until the published post shows up, then report its URN
+   * @param {Object} draft - `{ draftId, insertedAt }`
+   * @param {string} submittedText - Composer text when Post was pressed
+   * @param {Set<string>} knownIds - Post ids on the page before publishing
+   */
+  static async watchForPublishedPost(draft, submittedText, knownIds) {
+    const deadline = Date.now() + this.PUBLISH_TIMEOUT;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const urn = this.findPublishedUrn(submittedText, knownIds);
+      if (urn) {
+        this.reportPublished(draft.draftId, urn);
+        return;
+      }
+    }
+
+    console.log(`YALG Extension: Published post for draft ${draft.draftId} not found, nothing reported`);
+  }
+
+  /**
+   * LinkedIn's "Post successful" toast links the new post; without the toast,
+   * a new post near the top of the page whose text matches the submitted one
+   * @param {string} submittedText - Composer text when Post was pressed
+   * @param {Set<string>} knownIds - Post ids on the page before publishing
+   * @returns {string|null} URN of the published post
+   */
+  static findPublishedUrn(submittedText, knownIds) {
+    const toastLink = document.querySelector(this.SELECTORS.PUBLISH_TOAST_LINK);
+    const toastUrn = PostExtractor.normalizeUrn(toastLink?.getAttribute('href'));
+    if (toastUrn && !knownIds.has(toastUrn)) {
+      return toastUrn;
+    }
+
+    const prefix = this.normalizeText(submittedText).slice(0, this.MATCH_LENGTH);
+    if (!prefix) {
+      return null;
+    }
+
+    const match = Array.from(document.querySelectorAll(this.SELECTORS.POST_ROOT))
+      .slice(0, 5)
+      .map(root => PostExtractor.extract(root))
+      .find(post => post.urn && !knownIds.has(post.id) && this.normalizeText(post.text).startsWith(prefix));
+
+    return match?.urn || null;
+  }
+
+  static normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  static reportPublished(draftId, urn) {
+    const publication = {
+      draftId,
+      urn,
+      // The URN id embeds its creation time; the clock is the fallback
+      publishedAt: PostExtractor.urnTimestamp(urn) || new Date().toISOString(),
+      url: `https://www.linkedin.com/feed/update/${urn}/`
+    };
+
+    console.log(`YALG Extension: Draft ${draftId} published as ${urn}`);
+    chrome.runtime.sendMessage({ type: 'DRAFT_PUBLISHED', data: publication }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        console.error('YALG Extension: Failed to report the published draft:', chrome.runtime.lastError || response?.error);
+      }
+    });
+  }
+
+  static findEditor() {
+    return document.querySelector(this.SELECTORS.SHARE_EDITOR);
+  }
+
+  static async waitForEditor() {
+    const deadline = Date.now() + this.OPEN_TIMEOUT;
+
+    while (Date.now() < deadline) {
+      const editor = this.findEditor();
+      if (editor) {
+        return editor;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    return null;
+  }
+
+  /**
+   * The composer is a rich-text editor with one paragraph per line; an empty
+   * line is a paragraph holding a `<br>`. Text goes in as text nodes, so emoji
+   * and hashtags arrive exactly as written and LinkedIn links the hashtags itself.
+   * @param {Element} editor - Contenteditable editor
+   * @param {string} text - Draft text
+   */
+  static setText(editor, text) {
+    const paragraphs = text.replace(/\r\n?/g, '\n').split('\n').map(line => {
+      const paragraph = document.createElement('p');
+      paragraph.append(line || document.createElement('br'));
+      return paragraph;
+    });
+
+    editor.focus();
+    editor.replaceChildren(...paragraphs);
+
+    // Let the editor pick up the change so the Post button and counter update
+    editor.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+}
+
+// Make the composer available to content.js
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_POST_COMPOSER = PostComposer;
+}
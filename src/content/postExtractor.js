@@ -0,0 +1,467 @@
+/**
+ * Post Extractor
+ * Turns a LinkedIn `.feed-shared-update-v2` node into a structured post record
+ * so the backend no longer has to re-parse LinkedIn markup.
+ *
+ * Loaded as a classic content script (after constants.js) and exposed globally,
+ * so content.js and the other content scripts can use it.
+ */
+
+class PostExtractor {
+  static get SELECTORS() {
+    return globalThis.YALG_LINKEDIN_SELECTORS;
+  }
+
+  static get TYPES() {
+    return globalThis.YALG_POST_TYPES;
+  }
+
+  /**
+   * Find the post root for any element inside a post
+   * @param {Element} element - Element inside (or equal to) a post
+   * @returns {Element|null} Post root element
+   */
+  static findPostRoot(element) {
+    if (!element) {
+      return null;
+    }
+
+    return element.closest(this.SELECTORS.POST_ROOT) ||
+           element.closest('[data-urn]') ||
+           element;
+  }
+
+  /**
+   * Extract a structured post record
+   * @param {Element} postElement - Post root element
+   * @param {Object} options - Extraction options
+   * @param {boolean} options.includeHtml - Attach raw outerHTML to the record
+   * @returns {Object} Post record
+   */
+  static extract(postElement, options = {}) {
+    const { includeHtml = false } = options;
+    const textElement = this._queryOwn(postElement, this.SELECTORS.POST_CONTENT);
+
+    const urn = this.extractUrn(postElement);
+    const author = this.extractAuthor(postElement);
+    const text = textElement ? this.extractText(textElement) : '';
+    const postType = this.detectPostType(postElement);
+
+    const record = {
+      id: urn || this.contentId(author, text, postType),
+      urn,
+      author,
+      text,
+      hashtags: textElement ? this.extractHashtags(textElement) : [],
+      mentions: textElement ? this.extractMentions(textElement) : [],
+      links: textElement ? this.extractLinks(textElement) : [],
+      media: this.extractMedia(postElement),
+      postedAt: this.urnTimestamp(urn),
+      postedRelative: this.extractRelativeTime(postElement),
+      postType,
+      pinned: this.isPinned(postElement),
+      metrics: this.extractMetrics(postElement)
+    };
+
+    if (includeHtml) {
+      record.html = postElement.outerHTML;
+    }
+
+    return record;
+  }
+
+  /**
+   * Resolve a stable id for a post without extracting the full record
+   * @param {Element} postElement - Post root element
+   * @returns {string} Activity URN, or a content-derived id when no URN is present
+   */
+  static resolvePostId(postElement) {
+    const urn = this.extractUrn(postElement);
+    if (urn) {
+      return urn;
+    }
+
+    const textElement = this._queryOwn(postElement, this.SELECTORS.POST_CONTENT);
+    return this.contentId(
+      this.extractAuthor(postElement),
+      textElement ? this.extractText(textElement) : '',
+      this.detectPostType(postElement)
+    );
+  }
+
+  /**
+   * Extract the LinkedIn URN identifying a post.
+   *
+   * Fallback chain, first match wins:
+   *   1. `data-urn` on the post root (urn:li:activity / share / ugcPost)
+   *   2. `data-id` on the post root (used by some feed layouts)
+   *   3. closest ancestor carrying an activity `data-urn`
+   *   4. the post's permalink (`/feed/update/urn:li:activity:…`)
+   * Reshared posts embed the original's URN, so nested nodes are ignored.
+   *
+   * @param {Element} postElement - Post root element
+   * @returns {string|null} Normalised URN or null
+   */
+  static extractUrn(postElement) {
+    const candidates = [
+      postElement.getAttribute('data-urn'),
+      postElement.getAttribute('data-id'),
+      postElement.parentElement?.closest('[data-urn*="urn:li:activity:"]')?.getAttribute('data-urn'),
+      this._queryOwn(postElement, 'a[href*="/feed/update/urn:li:"]')?.getAttribute('href')
+    ];
+
+    for (const candidate of candidates) {
+      const urn = this.normalizeUrn(candidate);
+      if (urn) {
+        return urn;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalise a raw attribute or URL into a post URN
+   * @param {string|null} value - Raw attribute value or permalink
+   * @returns {string|null} URN such as `urn:li:activity:7123…`
+   */
+  static normalizeUrn(value) {
+    if (!value) {
+      return null;
+    }
+
+    let decoded = value;
+    try {
+      decoded = decodeURIComponent(value);
+    } catch {
+      // Keep the raw value if it isn't valid URI encoding
+    }
+
+    const match = decoded.match(/urn:li:(activity|share|ugcPost):\d+/);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Decode the creation time embedded in a LinkedIn URN id
+   * (the top 41 bits of the numeric id are milliseconds since the Unix epoch)
+   * @param {string|null} urn - Post URN
+   * @returns {string|null} ISO timestamp or null
+   */
+  static urnTimestamp(urn) {
+    const match = urn && urn.match(/:(\d{15,})$/);
+    if (!match) {
+      return null;
+    }
+
+    const ms = Number(BigInt(match[1]) >> 22n);
+    return new Date(ms).toISOString();
+  }
+
+  /**
+   * Last-resort id derived from what the author wrote, never from DOM position,
+   * so the same post keeps its id across re-renders and scrolls
+   * @param {Object} author - Extracted author
+   * @param {string} text - Extracted text
+   * @param {string} postType - Detected post type
+   * @returns {string} Content id prefixed with `content:`
+   */
+  static contentId(author, text, postType) {
+    const source = `${author.profileUrl || author.name}|${postType}|${text}`;
+    let hash = 0;
+
+    for (let i = 0; i < source.length; i++) {
+      hash = ((hash << 5) - hash) + source.charCodeAt(i);
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+
+    return `content:${Math.abs(hash).toString(36)}`;
+  }
+
+  /**
+   * Extract author name, profile URL and headline
+   * @param {Element} postElement - Post root element
+   * @returns {Object} Author info
+   */
+  static extractAuthor(postElement) {
+    const nameElement = this._queryOwn(postElement, this.SELECTORS.POST_AUTHOR);
+    const linkElement = this._queryOwn(postElement, this.SELECTORS.POST_AUTHOR_LINK);
+    const headlineElement = this._queryOwn(postElement, this.SELECTORS.POST_AUTHOR_HEADLINE);
+
+    return {
+      name: this._cleanText(nameElement?.textContent),
+      profileUrl: linkElement?.href ? this._stripQuery(linkElement.href) : null,
+      headline: this._cleanText(headlineElement?.textContent)
+    };
+  }
+
+  /**
+   * Extract post text with line breaks preserved
+   * @param {Element} textElement - Post text container
+   * @returns {string} Post text
+   */
+  static extractText(textElement) {
+    const clone = textElement.cloneNode(true);
+
+    // Drop the "…see more" toggle and visually hidden helper text
+    clone.querySelectorAll(`${this.SELECTORS.POST_SEE_MORE}, .visually-hidden`)
+      .forEach(node => node.remove());
+
+    clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+
+    return clone.textContent
+      .replace(/\u00a0/g, ' ')
+      .split('\n')
+      .map(line => line.trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Extract hashtags used in the post text
+   * @param {Element} textElement - Post text container
+   * @returns {string[]} Hashtags without the leading '#'
+   */
+  static extractHashtags(textElement) {
+    const hashtags = new Set();
+
+    textElement.querySelectorAll('a[href*="/hashtag/"], a[href*="keywords=%23"]').forEach(link => {
+      const tag = link.textContent.replace(/^.*#/, '').trim();
+      if (tag) {
+        hashtags.add(tag);
+      }
+    });
+
+    return Array.from(hashtags);
+  }
+
+  /**
+   * Extract people and company mentions in the post text
+   * @param {Element} textElement - Post text container
+   * @returns {Array<Object>} Mentions with name, profile URL and kind
+   */
+  static extractMentions(textElement) {
+    const mentions = [];
+    const seen = new Set();
+
+    textElement.querySelectorAll('a[href*="/in/"], a[href*="/company/"], a[href*="/school/"]').forEach(link => {
+      const profileUrl = this._stripQuery(link.href);
+      if (seen.has(profileUrl)) {
+        return;
+      }
+
+      seen.add(profileUrl);
+      mentions.push({
+        name: this._cleanText(link.textContent),
+        profileUrl,
+        kind: profileUrl.includes('/in/') ? 'person' : 'organization'
+      });
+    });
+
+    return mentions;
+  }
+
+  /**
+   * Extract external links in the post text
+   * @param {Element} textElement - Post text container
+   * @returns {string[]} Link URLs
+   */
+  static extractLinks(textElement) {
+    const links = new Set();
+
+    textElement.querySelectorAll('a[href]').forEach(link => {
+      const href = link.href;
+      if (this._isLinkedInInternal(href)) {
+        return;
+      }
+      links.add(href);
+    });
+
+    return Array.from(links);
+  }
+
+  /**
+   * Extract media attached to the post
+   * @param {Element} postElement - Post root element
+   * @returns {Array<Object>} Media descriptors
+   */
+  static extractMedia(postElement) {
+    const media = [];
+
+    this._queryAllOwn(postElement, this.SELECTORS.POST_IMAGES).forEach(img => {
+      media.push({ type: 'image', url: img.currentSrc || img.src || null, alt: img.alt || null });
+    });
+
+    this._queryAllOwn(postElement, this.SELECTORS.POST_VIDEOS).forEach(video => {
+      media.push({ type: 'video', url: video.currentSrc || video.src || null, poster: video.poster || null });
+    });
+
+    const documentElement = this._queryOwn(postElement, this.SELECTORS.POST_DOCUMENT);
+    if (documentElement) {
+      const title = documentElement.querySelector('[class*="title"]') || documentElement;
+      media.push({ type: 'document', title: this._cleanText(title.getAttribute('aria-label') || title.textContent) });
+    }
+
+    const articleElement = this._queryOwn(postElement, this.SELECTORS.POST_ARTICLE);
+    if (articleElement) {
+      const link = articleElement.querySelector('a[href]');
+      const title = articleElement.querySelector('[class*="title"]');
+      media.push({
+        type: 'article',
+        url: link ? link.href : null,
+        title: this._cleanText(title?.textContent)
+      });
+    }
+
+    return media;
+  }
+
+  /**
+   * Extract LinkedIn's relative posting time (e.g. "2d", "3w", "1mo")
+   * @param {Element} postElement - Post root element
+   * @returns {string|null} Relative time label
+   */
+  static extractRelativeTime(postElement) {
+    const timeElement = this._queryOwn(postElement, this.SELECTORS.POST_TIME);
+    if (timeElement?.textContent) {
+      return this._cleanText(timeElement.textContent);
+    }
+
+    const subDescription = this._queryOwn(postElement, this.SELECTORS.POST_SUB_DESCRIPTION);
+    if (!subDescription) {
+      return null;
+    }
+
+    const visible = subDescription.querySelector('span[aria-hidden="true"]') || subDescription;
+    const label = this._cleanText(visible.textContent).split('•')[0].trim();
+    return label || null;
+  }
+
+  /**
+   * Check whether the post is pinned to the top of the profile's activity.
+   * LinkedIn labels it in the post header.
+   * @param {Element} postElement - Post root element
+   * @returns {boolean} True for a pinned post
+   */
+  static isPinned(postElement) {
+    const header = this._queryOwn(postElement, this.SELECTORS.POST_HEADER);
+    return /\bpinned\b/i.test(header?.textContent || '');
+  }
+
+  /**
+   * Extract engagement counts from the post's social-count widgets.
+   * Impressions are only rendered for the post owner, so they may be null.
+   * @param {Element} postElement - Post root element
+   * @returns {Object} `{ reactions, comments, reposts, impressions, capturedAt }`
+   */
+  static extractMetrics(postElement) {
+    const count = selector => {
+      const element = this._queryOwn(postElement, selector);
+      return element ? this.parseCount(element.getAttribute('aria-label') || element.textContent) : null;
+    };
+
+    return {
+      reactions: count(this.SELECTORS.POST_REACTIONS_COUNT) ?? 0,
+      comments: count(this.SELECTORS.POST_COMMENTS_COUNT) ?? 0,
+      reposts: count(this.SELECTORS.POST_REPOSTS_COUNT) ?? 0,
+      impressions: count(this.SELECTORS.POST_IMPRESSIONS),
+      capturedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Parse a displayed count such as "1,234", "1.2K" or "12 comments"
+   * @param {string|null} text - Count text or aria-label
+   * @returns {number|null} Parsed count, or null if there's no number
+   */
+  static parseCount(text) {
+    const match = (text || '').match(/(\d[\d.,\s]*)\s*([KkMm])?\b/);
+    if (!match) {
+      return null;
+    }
+
+    const digits = match[1].trim();
+    if (match[2]) {
+      const multiplier = match[2].toLowerCase() === 'k' ? 1000 : 1000000;
+      return Math.round(parseFloat(digits.replace(',', '.')) * multiplier);
+    }
+
+    return parseInt(digits.replace(/[.,\s]/g, ''), 10);
+  }
+
+  /**
+   * Metrics-only snapshot for a post that was already imported
+   * @param {string} postId - Stable post id
+   * @param {Object} post - Extracted post record
+   * @returns {Object} `{ postId, urn, ...metrics }`
+   */
+  static toMetricSnapshot(postId, post) {
+    return { postId, urn: post.urn, ...post.metrics };
+  }
+
+  /**
+   * Detect the post type from its attached components
+   * @param {Element} postElement - Post root element
+   * @returns {string} One of POST_TYPES
+   */
+  static detectPostType(postElement) {
+    const types = this.TYPES;
+
+    if (postElement.querySelector(this.SELECTORS.POST_RESHARE)) return types.RESHARE;
+    if (this._queryOwn(postElement, this.SELECTORS.POST_POLL)) return types.POLL;
+    if (this._queryOwn(postElement, this.SELECTORS.POST_DOCUMENT)) return types.DOCUMENT;
+    if (this._queryOwn(postElement, this.SELECTORS.POST_VIDEOS)) return types.VIDEO;
+    if (this._queryOwn(postElement, this.SELECTORS.POST_ARTICLE)) return types.ARTICLE;
+    if (this._queryOwn(postElement, this.SELECTORS.POST_IMAGES)) return types.IMAGE;
+
+    return types.TEXT;
+  }
+
+  // Utility Methods
+
+  /**
+   * Query within a post, ignoring nodes that belong to an embedded (reshared) post
+   * @param {Element} root - Post root element
+   * @param {string} selector - CSS selector
+   * @returns {Element|null} First matching element
+   */
+  static _queryOwn(root, selector) {
+    return this._queryAllOwn(root, selector)[0] || null;
+  }
+
+  /**
+   * Query all within a post, ignoring nodes that belong to an embedded (reshared) post
+   * @param {Element} root - Post root element
+   * @param {string} selector - CSS selector
+   * @returns {Element[]} Matching elements
+   */
+  static _queryAllOwn(root, selector) {
+    return Array.from(root.querySelectorAll(selector))
+      .filter(node => !node.closest(this.SELECTORS.POST_RESHARE) || root.matches(this.SELECTORS.POST_RESHARE));
+  }
+
+  static _cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  static _stripQuery(url) {
+    return url.split('?')[0];
+  }
+
+  static _isLinkedInInternal(href) {
+    try {
+      const { hostname, pathname } = new URL(href);
+      if (!hostname.endsWith('linkedin.com')) {
+        return false;
+      }
+      return /^\/(in|company|school|feed\/hashtag|search)\//.test(pathname);
+    } catch {
+      return true;
+    }
+  }
+}
+
+// Make the extractor available to content.js and the other content scripts
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_POST_EXTRACTOR = PostExtractor;
+}
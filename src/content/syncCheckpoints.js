@@ -0,0 +1,242 @@
+/**
+ * Sync Checkpoints
+ * Persists a per-profile high-water mark (newest synced URN and its timestamp)
+ * so incremental syncs can stop scrolling once they reach known posts, plus
+ * resumable state for full-history backfills.
+ *
+ * Loaded as a classic content script (after constants.js) and exposed globally.
+ */
+
+class SyncCheckpoints {
+  static get STORAGE_KEY() {
+    return globalThis.YALG_STORAGE_KEYS?.SYNC_CHECKPOINTS || 'syncCheckpoints';
+  }
+
+  /**
+   * Extract the LinkedIn profile slug from a profile or activity URL
+   * @param {string} url - LinkedIn URL
+   * @returns {string|null} Profile slug
+   */
+  static getProfileId(url = window.location.href) {
+    const match = url.match(/\/in\/([^\/?#]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  /**
+   * Profile slug of the signed-in member. The feed's identity card links to it;
+   * other pages fall back to the last one seen, since profile pages don't show it.
+   * @returns {Promise<string|null>} Profile slug, null until the member has been seen once
+   */
+  static async resolveMemberProfileId() {
+    const key = globalThis.YALG_STORAGE_KEYS?.MEMBER_PROFILE_ID || 'memberProfileId';
+    const selector = globalThis.YALG_LINKEDIN_SELECTORS?.MEMBER_PROFILE_LINK;
+    const link = selector ? document.querySelector(selector) : null;
+    const profileId = link ? this.getProfileId(link.href) : null;
+
+    if (profileId && profileId !== 'me') {
+      await chrome.storage.local.set({ [key]: profileId });
+      return profileId;
+    }
+
+    const stored = await chrome.storage.local.get([key]);
+    return stored[key] || null;
+  }
+
+  /**
+   * Profile slug of the activity page's owner. `/in/me/` pages stand for the
+   * signed-in member, whose real slug is needed to tell their items apart.
+   * @param {string} url - Profile or activity URL
+   * @returns {Promise<string|null>} Profile slug, null if the member isn't known yet
+   */
+  static async resolveOwnerProfileId(url = window.location.href) {
+    const profileId = this.getProfileId(url);
+    return profileId && profileId !== 'me' ? profileId : this.resolveMemberProfileId();
+  }
+
+  /**
+   * Load the high-water mark for a profile
+   * @param {string} profileId - LinkedIn profile slug
+   * @returns {Promise<Object|null>} `{ urn, postedAt, syncedAt }` or null
+   */
+  static async getHighWaterMark(profileId) {
+    const checkpoint = await this._getProfileCheckpoint(profileId);
+    return checkpoint?.highWaterMark || null;
+  }
+
+  /**
+   * Persist the high-water mark for a profile
+   * @param {string} profileId - LinkedIn profile slug
+   * @param {Object} highWaterMark - `{ urn, postedAt }`
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setHighWaterMark(profileId, highWaterMark) {
+    if (!highWaterMark) {
+      return false;
+    }
+
+    return this._updateProfileCheckpoint(profileId, {
+      highWaterMark: {
+        urn: highWaterMark.urn,
+        postedAt: highWaterMark.postedAt,
+        syncedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Load the in-progress backfill for a profile
+   * @param {string} profileId - LinkedIn profile slug
+   * @returns {Promise<Object|null>} Backfill state or null
+   */
+  static async getBackfillState(profileId) {
+    const checkpoint = await this._getProfileCheckpoint(profileId);
+    return checkpoint?.backfill || null;
+  }
+
+  /**
+   * Persist backfill progress (collected ids, scroll position, oldest date reached)
+   * @param {string} profileId - LinkedIn profile slug
+   * @param {Object} state - Backfill state
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveBackfillState(profileId, state) {
+    return this._updateProfileCheckpoint(profileId, {
+      backfill: { ...state, updatedAt: new Date().toISOString() }
+    });
+  }
+
+  /**
+   * Drop the backfill state once the whole history has been collected
+   * @param {string} profileId - LinkedIn profile slug
+   * @returns {Promise<boolean>} Success status
+   */
+  static async clearBackfillState(profileId) {
+    return this._updateProfileCheckpoint(profileId, { backfill: null });
+  }
+
+  /**
+   * Check whether a post was already covered by a previous sync
+   * @param {Object} post - Extracted post record
+   * @param {Object|null} highWaterMark - Stored high-water mark
+   * @returns {boolean} True if the post is at or below the mark
+   */
+  static isKnownPost(post, highWaterMark) {
+    if (!highWaterMark || !post) {
+      return false;
+    }
+
+    if (post.urn && post.urn === highWaterMark.urn) {
+      return true;
+    }
+
+    if (post.postedAt && highWaterMark.postedAt) {
+      return post.postedAt <= highWaterMark.postedAt;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether collection can stop at a post. A pinned post sits at the top of
+   * the feed above newer ones, so only an unpinned known post marks where the
+   * last sync ended.
+   * @param {Object} post - Extracted post record
+   * @param {Object|null} highWaterMark - Stored high-water mark
+   * @returns {boolean} True if everything below the post was already synced
+   */
+  static isStopPoint(post, highWaterMark) {
+    return !post?.pinned && this.isKnownPost(post, highWaterMark);
+  }
+
+  /**
+   * Ids of the items uploaded before under a checkpoint scope, from the content
+   * fingerprints the background keeps (FingerprintStore, POST_FINGERPRINTS)
+   * @param {string} scope - Checkpoint key (profile + activity source)
+   * @returns {Promise<Set<string>>} Synced item ids
+   */
+  static async getSyncedIds(scope) {
+    const key = globalThis.YALG_STORAGE_KEYS?.POST_FINGERPRINTS || 'postFingerprints';
+
+    try {
+      const stored = await chrome.storage.local.get([key]);
+      return new Set(Object.keys(stored[key]?.[scope] || {}));
+    } catch (error) {
+      console.error('YALG Extension: Could not load synced post ids', error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Work out the next high-water mark after an upload.
+   * Everything newer than the mark is re-sent next time, so the mark only
+   * advances to the newest successful post that is older than every failure.
+   * @param {Array<Object>} elements - Collected elements (with `post`)
+   * @param {Set<string>} failedIds - Ids of elements that failed to upload
+   * @param {Object|null} previous - Previous high-water mark
+   * @returns {Object|null} Next high-water mark
+   */
+  static computeNextMark(elements, failedIds, previous = null) {
+    const dated = elements
+      .filter(element => element.post?.urn && element.post?.postedAt)
+      .sort((a, b) => b.post.postedAt.localeCompare(a.post.postedAt));
+
+    const failures = dated.filter(element => failedIds.has(element.id));
+    const oldestFailure = failures.length > 0 ? failures[failures.length - 1].post.postedAt : null;
+
+    const candidate = dated.find(element =>
+      !failedIds.has(element.id) &&
+      (!oldestFailure || element.post.postedAt < oldestFailure)
+    );
+
+    if (!candidate) {
+      return previous;
+    }
+
+    if (previous?.postedAt && candidate.post.postedAt <= previous.postedAt) {
+      return previous;
+    }
+
+    return { urn: candidate.post.urn, postedAt: candidate.post.postedAt };
+  }
+
+  // Storage helpers
+
+  static async _getProfileCheckpoint(profileId) {
+    if (!profileId) {
+      return null;
+    }
+
+    try {
+      const stored = await chrome.storage.local.get([this.STORAGE_KEY]);
+      const checkpoints = stored[this.STORAGE_KEY] || {};
+      return checkpoints[profileId] || null;
+    } catch (error) {
+      console.error('YALG Extension: Could not load sync checkpoint', error);
+      return null;
+    }
+  }
+
+  static async _updateProfileCheckpoint(profileId, updates) {
+    if (!profileId) {
+      return false;
+    }
+
+    try {
+      const stored = await chrome.storage.local.get([this.STORAGE_KEY]);
+      const checkpoints = stored[this.STORAGE_KEY] || {};
+
+      checkpoints[profileId] = { ...checkpoints[profileId], ...updates };
+
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: checkpoints });
+      return true;
+    } catch (error) {
+      console.error('YALG Extension: Could not save sync checkpoint', error);
+      return false;
+    }
+  }
+}
+
+// Make checkpoints available to content.js and the other content scripts
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_SYNC_CHECKPOINTS = SyncCheckpoints;
+}
@@ -0,0 +1,114 @@
+/**
+ * Sync Filters
+ * Date-range and post-type filters for a sync run. Filters arrive with the
+ * `START_SYNC` config as `{ lastDays, since, until, postTypes }` and are
+ * applied to extracted posts before anything is queued.
+ *
+ * Loaded as a classic content script (after constants.js) and exposed globally.
+ */
+
+class SyncFilters {
+  static get TYPES() {
+    return globalThis.YALG_POST_TYPES || {};
+  }
+
+  /**
+   * Resolve raw filter options into absolute bounds
+   * @param {Object|null} filters - `{ lastDays, since, until, postTypes }`
+   * @param {Date} now - Reference time for `lastDays`
+   * @returns {Object|null} `{ since, until, postTypes }` with ISO dates, or null if nothing filters
+   */
+  static normalize(filters, now = new Date()) {
+    if (!filters) {
+      return null;
+    }
+
+    let since = this._toIsoDate(filters.since);
+    const until = this._toIsoDate(filters.until, { endOfDay: true });
+
+    const lastDays = Number(filters.lastDays);
+    if (lastDays > 0) {
+      const lastDaysSince = new Date(now.getTime() - lastDays * 24 * 60 * 60 * 1000).toISOString();
+      since = since && since > lastDaysSince ? since : lastDaysSince;
+    }
+
+    const knownTypes = Object.values(this.TYPES);
+    const postTypes = Array.isArray(filters.postTypes)
+      ? filters.postTypes.filter(type => knownTypes.includes(type))
+      : [];
+
+    if (!since && !until && postTypes.length === 0) {
+      return null;
+    }
+
+    return { since, until, postTypes };
+  }
+
+  /**
+   * Check whether a post passes the filters
+   * @param {Object} post - Extracted post record
+   * @param {Object|null} filters - Normalized filters
+   * @returns {boolean} True if the post should be queued
+   */
+  static matches(post, filters) {
+    if (!filters) {
+      return true;
+    }
+
+    if (filters.postTypes.length > 0 && !filters.postTypes.includes(post?.postType)) {
+      return false;
+    }
+
+    // Posts without a URN timestamp can't be dated, so don't drop them on date alone
+    if (post?.postedAt) {
+      if (filters.since && post.postedAt < filters.since) return false;
+      if (filters.until && post.postedAt > filters.until) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a post is older than the date range.
+   * The activity feed is newest-first, so collection can stop here.
+   * @param {Object} post - Extracted post record
+   * @param {Object|null} filters - Normalized filters
+   * @returns {boolean} True if the post predates `since`
+   */
+  static isBeforeRange(post, filters) {
+    return Boolean(filters?.since && post?.postedAt && post.postedAt < filters.since);
+  }
+
+  /**
+   * Whether a run with these filters still sees every post newer than where it stopped.
+   * Only then is it safe to advance the incremental high-water mark.
+   * @param {Object|null} filters - Normalized filters
+   * @returns {boolean} True if no post-type or `until` restriction applies
+   */
+  static coversAllPosts(filters) {
+    return !filters || (filters.postTypes.length === 0 && !filters.until);
+  }
+
+  static _toIsoDate(value, { endOfDay = false } = {}) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+
+    // A bare `YYYY-MM-DD` upper bound should include that whole day
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+
+    return date.toISOString();
+  }
+}
+
+// Make filters available to content.js and the other content scripts
+if (typeof globalThis !== 'undefined') {
+  globalThis.YALG_SYNC_FILTERS = SyncFilters;
+}
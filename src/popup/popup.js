@@ -119,6 +119,7 @@ class YALGPopup {
 
     // Sync state
     this.isSyncing = false;
+    this.isSyncPaused = false;
 
     // Authentication state
     this.authStatus = null;
@@ -152,9 +153,24 @@ class YALGPopup {
     // Load initial data
     await this.loadInitialData();
     
+    // Show uploads still waiting in the background queue
+    await this.loadUploadQueue();
+    
     // Check connection status
     await this.checkConnectionStatus();
     
+    // Pick up a sync that is still running in the background
+    await this.loadSyncState();
+    
+    // Show the automatic sync schedule
+    await this.loadSchedule();
+    
+    // Past runs
+    await this.loadSyncHistory();
+    
+    // Pending drafts, from the cache first
+    await this.loadDrafts();
+    
     // Set up message listeners
     this.setupMessageListeners();
     
@@ -164,13 +180,20 @@ class YALGPopup {
 
   cacheElements() {
     const elementIds = [
-      'statusIndicator', 'statusText', 'lastSync',
-      'progressContainer', 'progressFill', 'progressText',
+      'statusIndicator', 'statusText', 'lastSync', 'syncMode', 'syncSource',
+      'dateRange', 'sinceDateRow', 'sinceDate', 'postTypeFilters',
+      'syncSchedule', 'customIntervalRow', 'customIntervalHours', 'scheduleStatus',
+      'progressContainer', 'progressFill', 'progressText', 'pauseSyncButton', 'cancelSyncButton',
       'postsCollected', 'anecdotesCount',
       'errorMessage', 'successMessage',
       'recordButton', 'syncButton', 'dashboardLink', 
       'loginButton', 'refreshButton',
-      'recordingUI', 'recordingTimer', 'stopRecording', 'cancelRecording'
+      'recordingUI', 'recordingTimer', 'stopRecording', 'cancelRecording',
+      'uploadQueue', 'failedUploadsCount', 'pendingUploads', 'failedUploadsList',
+      'failedUploadsActions', 'retryAllUploads', 'discardAllUploads',
+      'syncHistory', 'syncHistoryList',
+      'draftText', 'openDraftButton',
+      'drafts', 'draftsStatus', 'draftsList', 'refreshDraftsButton'
     ];
     
     this.elements = {};
@@ -193,6 +216,41 @@ class YALGPopup {
     // Sync button
     this.elements.syncButton.addEventListener('click', () => this.handleSyncClick());
     
+    // Controls for a running sync
+    this.elements.pauseSyncButton?.addEventListener('click', () => {
+      this.handleSyncControl(this.isSyncPaused ? 'RESUME_SYNC' : 'PAUSE_SYNC');
+    });
+    this.elements.cancelSyncButton?.addEventListener('click', () => this.handleSyncControl('CANCEL_SYNC'));
+    
+    // Automatic syncs
+    this.elements.syncSchedule?.addEventListener('change', () => this.handleScheduleChange());
+    this.elements.customIntervalHours?.addEventListener('change', () => this.handleScheduleChange());
+    
+    // Sync history: a click on a run shows its failed posts
+    this.elements.syncHistoryList?.addEventListener('click', (e) => {
+      const row = e.target.closest('.sync-run');
+      if (row && !e.target.closest('.sync-run-details')) {
+        this.toggleSyncRun(row);
+      }
+    });
+    
+    // Drafts
+    this.elements.refreshDraftsButton?.addEventListener('click', () => this.loadDrafts());
+    this.elements.draftsList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) {
+        this.handleDraftAction(button.dataset.action, button.dataset.id);
+      }
+    });
+    
+    // Draft to LinkedIn
+    this.elements.openDraftButton?.addEventListener('click', () => this.openDraftInLinkedIn(this.elements.draftText.value));
+    
+    // Date range
+    this.elements.dateRange?.addEventListener('change', () => {
+      this.elements.sinceDateRow?.classList.toggle('hidden', this.elements.dateRange.value !== 'since');
+    });
+    
     // Recording controls
     this.elements.stopRecording.addEventListener('click', () => this.stopRecording());
     this.elements.cancelRecording.addEventListener('click', () => this.cancelRecording());
@@ -208,6 +266,16 @@ class YALGPopup {
     
     // Refresh button
     this.elements.refreshButton.addEventListener('click', () => this.handleRefreshClick());
+    
+    // Failed uploads
+    this.elements.retryAllUploads?.addEventListener('click', () => this.handleUploadAction('RETRY_FAILED_UPLOADS'));
+    this.elements.discardAllUploads?.addEventListener('click', () => this.handleUploadAction('DISCARD_FAILED_UPLOADS'));
+    this.elements.failedUploadsList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) {
+        this.handleUploadAction(button.dataset.action, [button.dataset.id]);
+      }
+    });
   }
 
   setupMessageListeners() {
@@ -225,9 +293,15 @@ class YALGPopup {
         case 'SYNC_ERROR':
           this.handleSyncError(message.data);
           break;
+        case 'SYNC_STATE_CHANGED':
+          this.applySyncState(message.data);
+          break;
         case 'AUTH_EVENT':
           this.handleAuthEvent(message);
           break;
+        case 'UPLOAD_QUEUE_UPDATED':
+          this.renderUploadQueue(message.data);
+          break;
 
       }
     });
@@ -582,13 +656,7 @@ class YALGPopup {
 
       this.isSyncing = true;
       this.updateStatus('syncing', 'Starting sync...');
-      this.elements.syncButton.disabled = true;
-      this.elements.syncButton.innerHTML = `
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="animation: spin 1s linear infinite;">
-          <path d="M21.5 2v6h-6M21.34 15.57a10 10 0 1 1-.57-8.38"/>
-        </svg>
-        Syncing...
-      `;
+      this.setSyncButtonBusy();
 
       // Check if LinkedIn tab is open
       const linkedinTabs = await chrome.tabs.query({ url: '*://*.linkedin.com/*' });
@@ -603,7 +671,10 @@ class YALGPopup {
         type: 'START_SYNC',
         data: {
           authToken: authStatus.token,
-          backendUrl: TokenManagerWrapper.BACKEND_URL
+          backendUrl: TokenManagerWrapper.BACKEND_URL,
+          syncMode: this.elements.syncMode?.value || 'incremental',
+          source: this.elements.syncSource?.value || 'all',
+          filters: this.getSyncFilters()
         }
       }, (response) => {
         if (response && response.success) {
@@ -619,6 +690,30 @@ class YALGPopup {
     }
   }
 
+  /**
+   * Read the date-range and post-type filters from the popup
+   * @returns {Object|null} `{ lastDays, since, postTypes }` or null when unfiltered
+   */
+  getSyncFilters() {
+    const filters = {};
+    const range = this.elements.dateRange?.value;
+    
+    if (range === 'since') {
+      if (this.elements.sinceDate?.value) {
+        filters.since = this.elements.sinceDate.value;
+      }
+    } else if (range) {
+      filters.lastDays = parseInt(range, 10);
+    }
+    
+    const checked = this.elements.postTypeFilters?.querySelectorAll('input[type="checkbox"]:checked') || [];
+    if (checked.length > 0) {
+      filters.postTypes = Array.from(checked).map(input => input.value);
+    }
+    
+    return Object.keys(filters).length > 0 ? filters : null;
+  }
+
   showProgress() {
     this.elements.progressContainer.classList.remove('hidden');
   }
@@ -644,7 +739,21 @@ class YALGPopup {
             `Collecting posts... (${data.totalCollected || 0} found)`;
         }
       }
-    } else if (data.phase === 'processing') {
+    } else if (data.phase === 'backfilling') {
+      if (this.elements.postsCollected) {
+        this.elements.postsCollected.textContent = data.totalCollected || 0;
+      }
+      if (this.elements.progressFill) {
+        this.elements.progressFill.style.width = '50%';
+      }
+      if (this.elements.progressText) {
+        const reached = data.oldestPostedAt
+          ? ` - reached ${this.formatDate(new Date(data.oldestPostedAt))}`
+          : '';
+        this.elements.progressText.textContent = 
+          `Backfilling history... (${data.totalCollected || 0} sent${reached})`;
+      }
+    } else if (data.phase === 'queueing' || data.phase === 'processing') {
       if (data.totalElements && data.totalProcessed !== undefined) {
         const progress = (data.totalProcessed / data.totalElements) * 100;
         if (this.elements.progressFill) {
@@ -662,8 +771,270 @@ class YALGPopup {
     }
   }
 
+  async loadSyncState() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS' });
+      const sync = response && response.success ? response.sync : null;
+      if (sync && !sync.completed) {
+        this.applySyncState(sync);
+        // Detailed progress only arrives with the next update from the content script
+        if (this.elements.progressText) {
+          this.elements.progressText.textContent =
+            `${this.elements.statusText.textContent} (✓${sync.stats.postsSuccessful} ✗${sync.stats.postsFailed})`;
+        }
+      }
+    } catch (error) {
+      console.warn('Could not load sync status:', error);
+    }
+  }
+
+  /**
+   * Show the sync session as the background persisted it
+   * @param {Object|null} sync - Status from GET_SYNC_STATUS or SYNC_STATE_CHANGED
+   */
+  applySyncState(sync) {
+    if (!sync) return;
+    
+    if (sync.completed) {
+      // Interrupted syncs (tab closed, worker restarted) don't send SYNC_COMPLETE
+      if (this.isSyncing && sync.error) {
+        this.handleSyncError({ error: sync.error });
+      }
+      return;
+    }
+    
+    const phaseText = {
+      initializing: 'Starting sync...',
+      collecting: 'Collecting posts...',
+      queueing: 'Uploading posts...',
+      processing: 'Finishing sync...'
+    };
+    
+    this.isSyncing = true;
+    this.isSyncPaused = Boolean(sync.paused);
+    this.setSyncButtonBusy();
+    this.showProgress();
+    this.updateStatus('syncing', sync.paused ? 'Sync paused' : (phaseText[sync.phase] || 'Syncing posts...'));
+    
+    if (this.elements.pauseSyncButton) {
+      this.elements.pauseSyncButton.textContent = sync.paused ? 'Resume' : 'Pause';
+    }
+    
+    if (this.elements.postsCollected) {
+      this.elements.postsCollected.textContent = sync.stats.postsCollected || 0;
+    }
+  }
+
+  async loadSchedule() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SYNC_SCHEDULE' });
+      if (response && response.success) {
+        this.renderSchedule(response.schedule);
+      }
+    } catch (error) {
+      console.warn('Could not load sync schedule:', error);
+    }
+  }
+
+  async handleScheduleChange() {
+    const frequency = this.elements.syncSchedule.value;
+    const hours = parseInt(this.elements.customIntervalHours?.value, 10);
+    this.elements.customIntervalRow?.classList.toggle('hidden', frequency !== 'custom');
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SET_SYNC_SCHEDULE',
+        data: {
+          frequency,
+          intervalMinutes: frequency === 'custom' ? hours * 60 : null,
+          source: this.elements.syncSource?.value || 'all'
+        }
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not update the schedule');
+      }
+      
+      this.renderSchedule(response.schedule);
+    } catch (error) {
+      console.error('Schedule update failed:', error);
+      this.showError(error.message);
+    }
+  }
+
+  renderSchedule(schedule) {
+    if (!schedule) return;
+    
+    this.elements.syncSchedule.value = schedule.frequency;
+    this.elements.customIntervalRow?.classList.toggle('hidden', schedule.frequency !== 'custom');
+    if (schedule.frequency === 'custom' && schedule.intervalMinutes) {
+      this.elements.customIntervalHours.value = Math.round(schedule.intervalMinutes / 60);
+    }
+    
+    const status = this.elements.scheduleStatus;
+    const lines = [];
+    if (schedule.frequency !== 'off' && schedule.nextRunAt) {
+      lines.push(`Next sync: ${this.formatDateTime(schedule.nextRunAt)}`);
+    }
+    if (schedule.lastRun) {
+      const lastRunText = {
+        started: schedule.lastSync?.error ? `failed (${schedule.lastSync.error})` : `${schedule.lastSync?.phase || 'started'}`,
+        busy: 'postponed, another sync was running',
+        logged_out: 'skipped, LinkedIn is signed out',
+        failed: `failed (${schedule.lastRun.error})`
+      };
+      lines.push(`Last automatic sync ${this.formatDateTime(schedule.lastRun.at)}: ${lastRunText[schedule.lastRun.status] || schedule.lastRun.status}`);
+    }
+    
+    status.textContent = lines.join(' · ');
+    status.classList.toggle('hidden', lines.length === 0);
+  }
+
+  async loadSyncHistory() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SYNC_HISTORY', data: { limit: 20 } });
+      if (response && response.success) {
+        this.renderSyncHistory(response.history);
+      }
+    } catch (error) {
+      console.warn('Could not load sync history:', error);
+    }
+  }
+
+  renderSyncHistory(history) {
+    const container = this.elements.syncHistory;
+    if (!container || !history) return;
+    
+    container.classList.toggle('hidden', history.length === 0);
+    const list = this.elements.syncHistoryList;
+    list.replaceChildren();
+    
+    // Newest first
+    [...history].reverse().forEach(run => {
+      const row = document.createElement('li');
+      row.className = 'sync-run';
+      row.dataset.id = run.id;
+      
+      const title = document.createElement('div');
+      title.className = 'sync-run-title';
+      const when = document.createElement('span');
+      when.textContent = `${this.formatDateTime(run.startTime)}${run.trigger === 'scheduled' ? ' · automatic' : ''}`;
+      const outcome = document.createElement('span');
+      outcome.textContent = run.phase === 'completed'
+        ? 'Completed'
+        : (run.error === 'Cancelled by user' ? 'Cancelled' : 'Failed');
+      title.append(when, outcome);
+      
+      const stats = run.stats || {};
+      const meta = document.createElement('div');
+      meta.className = 'sync-run-meta';
+      meta.textContent = [
+        run.duration !== null ? this.formatDuration(run.duration) : null,
+        `${stats.postsCollected || 0} found`,
+        `${stats.postsSuccessful || 0} queued`,
+        `${stats.postsFailed || 0} failed`
+      ].filter(Boolean).join(' · ');
+      
+      row.append(title, meta);
+      
+      if (run.error && run.error !== 'Cancelled by user') {
+        const error = document.createElement('div');
+        error.className = 'failed-upload-error';
+        error.textContent = run.error;
+        row.appendChild(error);
+      }
+      
+      list.appendChild(row);
+    });
+  }
+
+  async toggleSyncRun(row) {
+    const open = row.querySelector('.sync-run-details');
+    if (open) {
+      open.remove();
+      return;
+    }
+    
+    const details = document.createElement('ul');
+    details.className = 'sync-run-details';
+    row.appendChild(details);
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SYNC_RUN', data: { id: row.dataset.id } });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not load this run');
+      }
+      
+      const { run } = response;
+      if (run.failures.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'sync-run-meta';
+        empty.textContent = 'No failed posts in this run';
+        details.appendChild(empty);
+        return;
+      }
+      
+      run.failures.forEach(failure => {
+        const item = document.createElement('li');
+        item.className = 'failed-upload';
+        
+        const info = document.createElement('div');
+        info.className = 'failed-upload-info';
+        
+        const preview = document.createElement(failure.url ? 'a' : 'div');
+        preview.className = 'failed-upload-preview';
+        preview.textContent = failure.preview || failure.id;
+        preview.title = failure.id;
+        if (failure.url) {
+          preview.href = failure.url;
+          preview.target = '_blank';
+        }
+        
+        const error = document.createElement('div');
+        error.className = 'failed-upload-error';
+        error.textContent = `${failure.error}${failure.queued ? ' · retried in the background' : ''}`;
+        
+        info.append(preview, error);
+        item.appendChild(info);
+        details.appendChild(item);
+      });
+      
+      if (run.stats.postsFailed > run.failures.length) {
+        const more = document.createElement('li');
+        more.className = 'sync-run-meta';
+        more.textContent = `…and ${run.stats.postsFailed - run.failures.length} more`;
+        details.appendChild(more);
+      }
+    } catch (error) {
+      details.remove();
+      this.showError(error.message);
+    }
+  }
+
+  async handleSyncControl(type) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No sync in progress');
+      }
+      
+      // Cancel reports back through SYNC_COMPLETE
+      if (type !== 'CANCEL_SYNC') {
+        this.applySyncState(response.sync);
+      }
+    } catch (error) {
+      console.error('Sync control failed:', error);
+      this.showError(error.message);
+    }
+  }
+
   handleSyncComplete(data) {
+    if (data && data.success === false) {
+      this.handleSyncError(data);
+      return;
+    }
+    
     this.isSyncing = false;
+    this.isSyncPaused = false;
     this.hideProgress();
     this.resetSyncButton();
     
@@ -680,22 +1051,272 @@ class YALGPopup {
       this.elements.lastSync.textContent = `Last sync: ${this.formatDate(new Date())}`;
     }
     
-    // Save stats
-    chrome.storage.local.set({
-      syncStats: {
-        totalPosts: data.totalProcessed || 0,
-        lastSync: new Date().toISOString()
+    // Posts that failed stay in the background queue; sync stats are saved by the background
+    this.loadUploadQueue();
+    this.loadSyncHistory();
+  }
+
+  async loadUploadQueue() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_UPLOAD_QUEUE' });
+      if (response && response.success) {
+        this.renderUploadQueue(response.queue);
+      }
+    } catch (error) {
+      console.warn('Could not load upload queue:', error);
+    }
+  }
+
+  async handleUploadAction(type, ids = null) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type, data: { ids } });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Upload queue request failed');
+      }
+      
+      this.renderUploadQueue(response.queue);
+      if (type === 'RETRY_FAILED_UPLOADS') {
+        this.showMessage(`Retrying ${response.requeued} upload${response.requeued === 1 ? '' : 's'}`, 'success');
+      } else {
+        this.showMessage(`Discarded ${response.discarded} upload${response.discarded === 1 ? '' : 's'}`, 'success');
+      }
+    } catch (error) {
+      console.error('Upload queue action failed:', error);
+      this.showError(error.message);
+    }
+  }
+
+  // Show the cached list straight away, so drafts can be read offline, then refresh it
+  async loadDrafts() {
+    const cacheKey = window.YALG_STORAGE_KEYS?.DRAFTS_CACHE || 'draftsCache';
+    const cached = (await chrome.storage.local.get([cacheKey]))[cacheKey];
+    if (cached) {
+      this.renderDrafts(cached.drafts, cached.fetchedAt);
+    }
+    
+    try {
+      const drafts = await this.fetchDrafts();
+      await chrome.storage.local.set({ [cacheKey]: { drafts, fetchedAt: Date.now() } });
+      this.renderDrafts(drafts);
+    } catch (error) {
+      console.warn('Could not load drafts:', error);
+      if (!cached && this.authStatus?.isAuthenticated) {
+        this.renderDrafts([]);
+        this.elements.draftsStatus.textContent = error.message;
+        this.elements.draftsStatus.classList.remove('hidden');
+      }
+    }
+  }
+
+  async fetchDrafts() {
+    const authStatus = await TokenManagerWrapper.getAuthStatus();
+    if (!authStatus.isAuthenticated) {
+      throw new Error('Not connected to YALG');
+    }
+    
+    const url = window.YALG_URLS?.API_DRAFTS || `${TokenManagerWrapper.BACKEND_URL}/drafts`;
+    const response = await fetch(`${url}?status=pending&include=ideas`, {
+      headers: {
+        'Authorization': `Bearer ${authStatus.token}`
       }
     });
+    
+    if (!response.ok) {
+      throw new Error(`Could not load drafts: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    return (data.drafts || []).map(draft => ({
+      id: draft.id,
+      type: draft.type || 'draft',
+      title: draft.title || null,
+      content: draft.content || '',
+      status: draft.status || null,
+      url: draft.url || null,
+      updatedAt: draft.updatedAt || null
+    }));
+  }
+
+  // `cachedAt` is set when the list comes from the cache
+  renderDrafts(drafts, cachedAt = null) {
+    const container = this.elements.drafts;
+    if (!container) return;
+    
+    container.classList.remove('hidden');
+    this.drafts = new Map(drafts.map(draft => [String(draft.id), draft]));
+    
+    this.elements.draftsStatus.classList.toggle('hidden', !cachedAt);
+    if (cachedAt) {
+      this.elements.draftsStatus.textContent = `Saved copy from ${this.formatDateTime(cachedAt)}`;
+    }
+    
+    const list = this.elements.draftsList;
+    list.replaceChildren();
+    
+    if (drafts.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'sync-run-meta';
+      empty.textContent = 'No pending drafts';
+      list.appendChild(empty);
+      return;
+    }
+    
+    drafts.forEach(draft => {
+      const row = document.createElement('li');
+      row.className = 'draft-item';
+      
+      const content = draft.content.trim();
+      const title = document.createElement('div');
+      title.className = 'draft-title';
+      title.textContent = draft.title || content.split('\n')[0] || 'Untitled';
+      
+      const snippet = document.createElement('div');
+      snippet.className = 'draft-snippet';
+      snippet.textContent = content.slice(0, 200);
+      
+      const meta = document.createElement('div');
+      meta.className = 'sync-run-meta';
+      meta.textContent = [
+        draft.type === 'idea' ? 'Idea' : 'Draft',
+        draft.status,
+        draft.updatedAt ? this.formatDateTime(draft.updatedAt) : null
+      ].filter(Boolean).join(' · ');
+      
+      const actions = document.createElement('div');
+      actions.className = 'draft-actions';
+      const copy = this.createDraftButton('Copy', 'copy', draft.id);
+      const insert = this.createDraftButton('Insert into LinkedIn', 'insert', draft.id);
+      copy.disabled = insert.disabled = !content;
+      actions.append(copy, this.createDraftButton('Open in YALG', 'open', draft.id), insert);
+      
+      row.append(title, snippet, meta, actions);
+      list.appendChild(row);
+    });
+  }
+
+  createDraftButton(label, action, id) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = label;
+    button.dataset.action = action;
+    button.dataset.id = id;
+    return button;
+  }
+
+  async handleDraftAction(action, id) {
+    const draft = this.drafts?.get(id);
+    if (!draft) return;
+    
+    try {
+      if (action === 'copy') {
+        await navigator.clipboard.writeText(draft.content);
+        this.showMessage('Draft copied to the clipboard', 'success');
+      } else if (action === 'open') {
+        chrome.tabs.create({ url: draft.url || `${TokenManagerWrapper.FRONTEND_URL}/drafts/${encodeURIComponent(draft.id)}` });
+      } else if (action === 'insert') {
+        await this.openDraftInLinkedIn(draft.content, draft.id);
+      }
+    } catch (error) {
+      console.error('Draft action failed:', error);
+      this.showError(error.message);
+    }
+  }
+
+  // LinkedIn's share box is filled with the draft; publishing is left to the user
+  async openDraftInLinkedIn(text, draftId = null) {
+    if (!text || !text.trim()) {
+      this.showError('Paste a draft first');
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'OPEN_DRAFT_IN_LINKEDIN', data: { text, draftId } });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not open the draft in LinkedIn');
+      }
+      
+      this.showMessage('Draft is in the LinkedIn composer. Review it and press Post.', 'success');
+    } catch (error) {
+      console.error('Opening draft in LinkedIn failed:', error);
+      this.showError(error.message);
+    }
+  }
+
+  renderUploadQueue(queue) {
+    const container = this.elements.uploadQueue;
+    if (!container || !queue) return;
+    
+    const dead = queue.dead || [];
+    container.classList.toggle('hidden', dead.length === 0 && queue.pending === 0);
+    this.elements.failedUploadsCount.textContent = dead.length;
+    this.elements.failedUploadsActions.classList.toggle('hidden', dead.length === 0);
+    
+    // Posts still being retried automatically
+    this.elements.pendingUploads.classList.toggle('hidden', queue.pending === 0);
+    if (queue.pending > 0) {
+      const next = queue.nextAttemptAt ? ` (next retry ${new Date(queue.nextAttemptAt).toLocaleTimeString()})` : '';
+      this.elements.pendingUploads.textContent =
+        `${queue.pending} post${queue.pending === 1 ? '' : 's'} waiting to upload${next}`;
+    }
+    
+    const list = this.elements.failedUploadsList;
+    list.replaceChildren();
+    
+    dead.forEach(item => {
+      const row = document.createElement('li');
+      row.className = 'failed-upload';
+      
+      const info = document.createElement('div');
+      info.className = 'failed-upload-info';
+      
+      const preview = document.createElement(item.url ? 'a' : 'div');
+      preview.className = 'failed-upload-preview';
+      preview.textContent = item.preview || item.id;
+      preview.title = item.id;
+      if (item.url) {
+        preview.href = item.url;
+        preview.target = '_blank';
+      }
+      
+      const error = document.createElement('div');
+      error.className = 'failed-upload-error';
+      error.textContent = `${item.lastError || 'Upload failed'} · ${item.attempts} attempt${item.attempts === 1 ? '' : 's'}`;
+      
+      info.append(preview, error);
+      row.append(info, this.createUploadButton('Retry', 'RETRY_FAILED_UPLOADS', item.id),
+        this.createUploadButton('Discard', 'DISCARD_FAILED_UPLOADS', item.id));
+      list.appendChild(row);
+    });
+  }
+
+  createUploadButton(label, action, id) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = label;
+    button.dataset.action = action;
+    button.dataset.id = id;
+    return button;
   }
 
   handleSyncError(data) {
     this.isSyncing = false;
+    this.isSyncPaused = false;
     this.hideProgress();
     this.resetSyncButton();
     
     this.updateStatus('error', 'Sync failed');
     this.showError(data.error || 'Sync failed');
+    this.loadSyncHistory();
+  }
+
+  setSyncButtonBusy() {
+    this.elements.syncButton.disabled = true;
+    this.elements.syncButton.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="animation: spin 1s linear infinite;">
+        <path d="M21.5 2v6h-6M21.34 15.57a10 10 0 1 1-.57-8.38"/>
+      </svg>
+      Syncing...
+    `;
   }
 
   resetSyncButton() {
@@ -856,6 +1477,19 @@ class YALGPopup {
       return date.toLocaleDateString();
     } 
   }
+
+  formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) {
+      return `${seconds}s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
 }
 
 // Don't auto-initialize anymore - initialization is handled by the constants loading system above 
\ No newline at end of file
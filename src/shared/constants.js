@@ -47,8 +47,11 @@ const URLS = {
   API_POSTS_HTML: `${CURRENT_CONFIG.BACKEND_BASE}/posts/html`,
   API_POSTS_QUEUE: `${CURRENT_CONFIG.BACKEND_BASE}/posts/queue`,
   API_POSTS_BULK: `${CURRENT_CONFIG.BACKEND_BASE}/posts/bulk`,
+  API_POSTS_METRICS: `${CURRENT_CONFIG.BACKEND_BASE}/posts/metrics`,
+  API_POSTS_REMOVED: `${CURRENT_CONFIG.BACKEND_BASE}/posts/removed`,
   API_ANECDOTE_AUDIO: `${CURRENT_CONFIG.BACKEND_BASE}/anecdote/audio`,
   API_AUTH_ME: `${CURRENT_CONFIG.BACKEND_BASE}/auth/me`,
+  API_DRAFTS: `${CURRENT_CONFIG.BACKEND_BASE}/drafts`,
   
   // External URLs
   LINKEDIN_FEED: 'https://www.linkedin.com/feed/',
@@ -143,21 +146,48 @@ const MESSAGE_TYPES = {
   CHECK_EXTENSION: 'CHECK_EXTENSION',
   CONFIGURE: 'CONFIGURE',
   SET_AUTO_START: 'SET_AUTO_START',
+  OPEN_DRAFT_IN_LINKEDIN: 'OPEN_DRAFT_IN_LINKEDIN', // also sent by the popup
+
+  // Sync control (from the frontend website or the popup)
+  START_SYNC: 'START_SYNC',
+  PAUSE_SYNC: 'PAUSE_SYNC',
+  RESUME_SYNC: 'RESUME_SYNC',
+  CANCEL_SYNC: 'CANCEL_SYNC',
+  GET_SYNC_STATUS: 'GET_SYNC_STATUS',
+  GET_SYNC_HISTORY: 'GET_SYNC_HISTORY',
+  GET_SYNC_RUN: 'GET_SYNC_RUN',
+  GET_SYNC_SCHEDULE: 'GET_SYNC_SCHEDULE',
+  SET_SYNC_SCHEDULE: 'SET_SYNC_SCHEDULE',
 
   // Internal messages (between extension components)
   START_SCRAPING: 'START_SCRAPING',
+  STOP_SCRAPING: 'STOP_SCRAPING',
+  PAUSE_SCRAPING: 'PAUSE_SCRAPING',
+  RESUME_SCRAPING: 'RESUME_SCRAPING',
+  FILL_COMPOSER: 'FILL_COMPOSER',
+  DRAFT_PUBLISHED: 'DRAFT_PUBLISHED',
   PROCESS_SINGLE_HTML_ELEMENT: 'PROCESS_SINGLE_HTML_ELEMENT',
+  PROCESS_HTML_BATCH: 'PROCESS_HTML_BATCH',
+  SAVE_POST: 'SAVE_POST',
+  SAVE_INSPIRATION: 'SAVE_INSPIRATION',
+  SEND_METRIC_SNAPSHOTS: 'SEND_METRIC_SNAPSHOTS',
+  REPORT_SEEN_POSTS: 'REPORT_SEEN_POSTS',
+  GET_UPLOAD_QUEUE: 'GET_UPLOAD_QUEUE',
+  RETRY_FAILED_UPLOADS: 'RETRY_FAILED_UPLOADS',
+  DISCARD_FAILED_UPLOADS: 'DISCARD_FAILED_UPLOADS',
+  UPLOAD_QUEUE_UPDATED: 'UPLOAD_QUEUE_UPDATED',
   HTML_COLLECTED: 'HTML_COLLECTED',
   SCRAPING_ERROR: 'SCRAPING_ERROR',
   SCRAPING_PROGRESS: 'SCRAPING_PROGRESS',
   SCRAPING_COMPLETE: 'SCRAPING_COMPLETE',
   PROGRESS_UPDATE: 'PROGRESS_UPDATE',
   SYNC_COMPLETE: 'SYNC_COMPLETE',
+  SYNC_STATE_CHANGED: 'SYNC_STATE_CHANGED',
   SYNC_COMPLETED: 'SYNC_COMPLETED',
   PROGRESS_ERROR: 'PROGRESS_ERROR'
 };
 
-// Sync phases
+// Sync phases, in order; a session ends in COMPLETED or ERROR (see SyncService.TRANSITIONS)
 const SYNC_PHASES = {
   INITIALIZING: 'initializing',
   COLLECTING: 'collecting',
@@ -177,21 +207,88 @@ const STATUS_TYPES = {
 
 // LinkedIn selectors (centralized to make updates easier)
 const LINKEDIN_SELECTORS = {
+  POST_ROOT: '.feed-shared-update-v2',
   POST_CONTAINER: '.feed-shared-update-v2__control-menu-container.display-flex.flex-column.flex-grow-1',
-  POST_CONTENT: '.feed-shared-update-v2__description',
-  POST_AUTHOR: '.feed-shared-actor__name',
-  POST_TIME: '.feed-shared-actor__sub-description time',
-  POST_IMAGES: '.feed-shared-image img',
-  POST_VIDEOS: 'video',
+  POST_CONTROL_MENU: '.feed-shared-control-menu, .feed-shared-update-v2__control-menu',
+  POST_CONTENT: '.feed-shared-update-v2__description, .update-components-text, .feed-shared-inline-show-more-text',
+  POST_SEE_MORE: '.feed-shared-inline-show-more-text__see-more-less-toggle, .see-more',
+  POST_AUTHOR: '.update-components-actor__title span[aria-hidden="true"], .update-components-actor__name, .feed-shared-actor__name',
+  POST_AUTHOR_LINK: '.update-components-actor__meta-link, .update-components-actor__container-link, .feed-shared-actor__container-link',
+  POST_AUTHOR_HEADLINE: '.update-components-actor__description, .feed-shared-actor__description',
+  POST_SUB_DESCRIPTION: '.update-components-actor__sub-description, .feed-shared-actor__sub-description',
+  POST_TIME: '.update-components-actor__sub-description time, .feed-shared-actor__sub-description time',
+  POST_IMAGES: '.update-components-image img, .feed-shared-image img',
+  POST_VIDEOS: '.update-components-linkedin-video video, video',
+  POST_DOCUMENT: '.update-components-document__container, .feed-shared-document',
+  POST_ARTICLE: '.update-components-article, .feed-shared-article',
+  POST_POLL: '.update-components-poll, .feed-shared-poll',
+  POST_RESHARE: '.update-components-mini-update-v2, .feed-shared-mini-update-v2',
+  POST_HEADER: '.update-components-header, .feed-shared-header',
+  POST_ARTICLE_LINK: '.update-components-article a[href*="/pulse/"], .feed-shared-article a[href*="/pulse/"]',
+  COMMENT_ITEM: 'article.comments-comment-entity, article.comments-comment-item',
+  COMMENT_TEXT: '.comments-comment-item__main-content, .comments-comment-entity__content .update-components-text',
+  COMMENT_AUTHOR_LINK: 'a.comments-comment-meta__description-container, a.comments-post-meta__actor-link, a.comments-comment-meta__image-link',
+  COMMENT_TIME: 'time.comments-comment-meta__data, .comments-comment-item__timestamp',
+  ARTICLE_LINK: 'a[href*="/pulse/"]',
+  ARTICLE_TITLE: 'h1.reader-article-header__title, h1.pulse-title, main h1',
+  ARTICLE_SUBTITLE: '.reader-article-header__subtitle, .article-main__subtitle',
+  ARTICLE_BODY: '.reader-article-content, .article-main__content, [data-test-id="article-content-blocks"]',
+  ARTICLE_COVER: '.reader-cover-image__img, .cover-img__image',
+  ARTICLE_AUTHOR_LINK: '.reader-author-info__container a[href*="/in/"], .base-main-card__title-link, a[data-tracking-control-name*="author"]',
+  NEWSLETTER_LINK: 'a[href*="/newsletters/"]',
+  POST_REACTIONS_COUNT: '.social-details-social-counts__reactions-count, button[aria-label*="reaction"]',
+  POST_COMMENTS_COUNT: '.social-details-social-counts__comments button, button[aria-label*="comment"]',
+  POST_REPOSTS_COUNT: 'button[aria-label*="repost"]',
+  POST_IMPRESSIONS: '.ca-entry-point__num-views, .analytics-entry-point, .content-analytics-entry-point',
   PROFILE_ACTIVITY_TAB: 'a[href*="/recent-activity/"]',
+  MEMBER_PROFILE_LINK: '.feed-identity-module__actor-meta a[href*="/in/"], a.profile-card-profile-link[href*="/in/"], a[data-control-name="nav.settings_myprofile"][href*="/in/"]',
+  SHARE_BOX_TRIGGER: '.share-box-feed-entry__trigger, button[aria-label*="Start a post"]',
+  SHARE_SUBMIT: '.share-actions__primary-action',
+  PUBLISH_TOAST_LINK: '.artdeco-toast-item a[href*="/feed/update/urn:li:"]',
+  SHARE_EDITOR: '.share-creation-state__text-editor .ql-editor[contenteditable="true"], .share-box .ql-editor[contenteditable="true"]',
   LOAD_MORE_BUTTON: '.scaffold-finite-scroll__load-button'
 };
 
+// Structured post types produced by the content-side post extractor
+const POST_TYPES = {
+  TEXT: 'text',
+  IMAGE: 'image',
+  VIDEO: 'video',
+  DOCUMENT: 'document',
+  ARTICLE: 'article',
+  POLL: 'poll',
+  RESHARE: 'reshare'
+};
+
+// How an item in the activity feed relates to the profile owner
+const ACTIVITY_TYPES = {
+  ORIGINAL: 'original',
+  REPOST: 'repost',
+  REPOST_WITH_THOUGHTS: 'repost_with_thoughts',
+  COMMENT: 'comment',
+  REACTION: 'reaction',
+  ARTICLE: 'article'
+};
+
+// Activity tabs a sync can collect from (the path segment after /recent-activity/)
+const COLLECTION_SOURCES = {
+  ALL: 'all',
+  SHARES: 'shares',
+  COMMENTS: 'comments',
+  ARTICLES: 'articles',
+  NEWSLETTERS: 'newsletter'
+};
+
 // API endpoints (relative paths - use URLS for full URLs)
 const API_ENDPOINTS = {
   POSTS_BULK: '/posts/bulk',
+  POSTS_METRICS: '/posts/metrics',
+  POSTS_REMOVED: '/posts/removed',
   POSTS_QUEUE: '/posts/queue',
-  POSTS_HTML: '/posts/html'
+  POSTS_HTML: '/posts/html',
+  INSPIRATIONS: '/inspirations',
+  DRAFTS: '/drafts',
+  ANECDOTES_TEXT: '/anecdotes/text'
 };
 
 // Default configuration
@@ -203,7 +300,12 @@ const DEFAULT_CONFIG = {
   scrollDelay: 2000,
   batchSize: 5,
   retryAttempts: 3,
-  retryDelay: 1000
+  retryDelay: 1000,
+  includeRawHtml: false,
+  includeAllActivity: false, // send reposts, comments and reactions too
+  syncMode: 'incremental',
+  source: 'all',
+  metricsWindowDays: 30 // re-sync engagement of already-imported posts this recent
 };
 
 // Storage keys
@@ -211,7 +313,23 @@ const STORAGE_KEYS = {
   CONFIG: 'config',
   SYNC_STATS: 'syncStats',
   AUTO_START_SYNC: 'autoStartSync',
-  LAST_SYNC: 'lastSync'
+  LAST_SYNC: 'lastSync',
+  SYNC_CHECKPOINTS: 'syncCheckpoints',
+  UPLOAD_QUEUE: 'uploadQueue',
+  UPLOAD_LEDGER: 'uploadLedger',
+  POST_FINGERPRINTS: 'postFingerprints',
+  SYNC_SESSION: 'syncSession',
+  SYNC_HISTORY: 'syncHistory',
+  SYNC_SCHEDULE: 'syncSchedule',
+  DRAFTS_CACHE: 'draftsCache',
+  MEMBER_PROFILE_ID: 'memberProfileId'
+};
+
+// Sync modes
+const SYNC_MODES = {
+  INCREMENTAL: 'incremental', // Stop at the last already-synced post
+  FULL: 'full',               // Re-collect everything within the scroll limits
+  BACKFILL: 'backfill'        // Whole history, no scroll cap, resumable across reloads
 };
 
 // Error codes
@@ -219,6 +337,7 @@ const ERROR_CODES = {
   NETWORK_ERROR: 'NETWORK_ERROR',
   AUTH_ERROR: 'AUTH_ERROR',
   LINKEDIN_ERROR: 'LINKEDIN_ERROR',
+  LINKEDIN_LOGGED_OUT: 'LINKEDIN_LOGGED_OUT',
   PARSING_ERROR: 'PARSING_ERROR',
   TIMEOUT_ERROR: 'TIMEOUT_ERROR',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
@@ -259,10 +378,76 @@ const DELAYS = {
   BATCH_PROCESSING: 500
 };
 
+// Retry policy shared by ApiClient requests and the background upload queue.
+// The wait before retry n is BASE_DELAY * 2^n.
+const RETRY_POLICY = {
+  RETRIES: 3,
+  BASE_DELAY: 1000,
+  MAX_DELAY: 30 * 60 * 1000,  // queued uploads never wait longer than this between attempts
+  DEAD_LETTER_AFTER: 8        // queued uploads are parked for the user after this many failures
+};
+
+// Bulk uploads to /posts/bulk. The batch size adapts between MIN and MAX:
+// it grows while requests finish under TARGET_LATENCY and shrinks on slow responses or 429s.
+const BULK_UPLOAD = {
+  INITIAL_BATCH_SIZE: 10,
+  MIN_BATCH_SIZE: 1,
+  MAX_BATCH_SIZE: 50,
+  MAX_BATCH_BYTES: 512 * 1024,
+  TARGET_LATENCY: 3000,
+  CHUNK_SIZE: 50             // posts the content script hands to the background per message
+};
+
+// How an uploaded post relates to what was synced before, compared by content fingerprint
+const POST_EVENTS = {
+  CREATED: 'created',   // first time this post is sent
+  UPDATED: 'updated'    // already imported, content edited on LinkedIn since
+};
+
+// Idempotency keys on post uploads (`<postId>:<content hash>`)
+const IDEMPOTENCY = {
+  HEADER: 'Idempotency-Key',
+  LEDGER_LIMIT: 10000,        // acknowledged keys remembered locally, oldest dropped first
+  HASH_VERSION: 2             // bumped when contentHash changes what it covers
+};
+
+// Background auth context (YALG token + user resolved once per sync)
+const AUTH_CONTEXT = {
+  TTL: 15 * 60 * 1000
+};
+
+// Background upload queue
+const UPLOAD_QUEUE = {
+  ALARM_NAME: 'yalg-upload-queue',
+  ITEM_STATUS: {
+    PENDING: 'pending',
+    DEAD: 'dead'
+  }
+};
+
+// Scheduled background syncs
+const SYNC_SCHEDULE = {
+  ALARM_NAME: 'yalg-scheduled-sync',
+  FREQUENCIES: {
+    OFF: 'off',
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    CUSTOM: 'custom'
+  },
+  INTERVAL_MINUTES: {
+    daily: 24 * 60,
+    weekly: 7 * 24 * 60
+  },
+  MIN_INTERVAL_MINUTES: 60,
+  BUSY_RETRY_MINUTES: 15,         // another sync was running when the alarm fired
+  LOGGED_OUT_RETRY_MINUTES: 30    // doubled per logged-out attempt, capped at the schedule interval
+};
+
 // Scraping limits
 const SCRAPING_LIMITS = {
   MAX_SCROLL_ATTEMPTS: 20,
   MAX_NO_NEW_ELEMENTS: 3,
+  BACKFILL_MAX_NO_NEW_ELEMENTS: 5, // LinkedIn loads old history slowly, be more patient
   BATCH_SIZE: 5
 };
 
@@ -275,6 +460,10 @@ try {
     window.YALG_SYNC_PHASES = SYNC_PHASES;
     window.YALG_STATUS_TYPES = STATUS_TYPES;
     window.YALG_LINKEDIN_SELECTORS = LINKEDIN_SELECTORS;
+    window.YALG_POST_TYPES = POST_TYPES;
+    window.YALG_ACTIVITY_TYPES = ACTIVITY_TYPES;
+    window.YALG_COLLECTION_SOURCES = COLLECTION_SOURCES;
+    window.YALG_SYNC_MODES = SYNC_MODES;
     window.YALG_API_ENDPOINTS = API_ENDPOINTS;
     window.YALG_DEFAULT_CONFIG = DEFAULT_CONFIG;
     window.YALG_STORAGE_KEYS = STORAGE_KEYS;
@@ -284,6 +473,13 @@ try {
     window.YALG_LINKEDIN_URLS = LINKEDIN_URLS;
     window.YALG_DELAYS = DELAYS;
     window.YALG_SCRAPING_LIMITS = SCRAPING_LIMITS;
+    window.YALG_RETRY_POLICY = RETRY_POLICY;
+    window.YALG_UPLOAD_QUEUE = UPLOAD_QUEUE;
+    window.YALG_SYNC_SCHEDULE = SYNC_SCHEDULE;
+    window.YALG_BULK_UPLOAD = BULK_UPLOAD;
+    window.YALG_IDEMPOTENCY = IDEMPOTENCY;
+    window.YALG_POST_EVENTS = POST_EVENTS;
+    window.YALG_AUTH_CONTEXT_CONFIG = AUTH_CONTEXT;
   }
 } catch (e) {
   // window not available (service worker context)
@@ -301,6 +497,10 @@ if (typeof module !== 'undefined' && module.exports) {
     STATUS_TYPES,
     LINKEDIN_SELECTORS,
     SELECTORS: { LINKEDIN: LINKEDIN_SELECTORS },
+    POST_TYPES,
+    ACTIVITY_TYPES,
+    COLLECTION_SOURCES,
+    SYNC_MODES,
     API_ENDPOINTS,
     DEFAULT_CONFIG,
     STORAGE_KEYS,
@@ -310,6 +510,13 @@ if (typeof module !== 'undefined' && module.exports) {
     LINKEDIN_URLS,
     DELAYS,
     SCRAPING_LIMITS,
+    RETRY_POLICY,
+    UPLOAD_QUEUE,
+    SYNC_SCHEDULE,
+    BULK_UPLOAD,
+    IDEMPOTENCY,
+    POST_EVENTS,
+    AUTH_CONTEXT,
     FRONTEND_URL,
     FRONTEND_LOGIN
   };
@@ -322,6 +529,10 @@ if (typeof globalThis !== 'undefined') {
   globalThis.YALG_SYNC_PHASES = SYNC_PHASES;
   globalThis.YALG_STATUS_TYPES = STATUS_TYPES;
   globalThis.YALG_LINKEDIN_SELECTORS = LINKEDIN_SELECTORS;
+  globalThis.YALG_POST_TYPES = POST_TYPES;
+  globalThis.YALG_ACTIVITY_TYPES = ACTIVITY_TYPES;
+  globalThis.YALG_COLLECTION_SOURCES = COLLECTION_SOURCES;
+  globalThis.YALG_SYNC_MODES = SYNC_MODES;
   globalThis.YALG_API_ENDPOINTS = API_ENDPOINTS;
   globalThis.YALG_DEFAULT_CONFIG = DEFAULT_CONFIG;
   globalThis.YALG_STORAGE_KEYS = STORAGE_KEYS;
@@ -331,6 +542,13 @@ if (typeof globalThis !== 'undefined') {
   globalThis.YALG_LINKEDIN_URLS = LINKEDIN_URLS;
   globalThis.YALG_DELAYS = DELAYS;
   globalThis.YALG_SCRAPING_LIMITS = SCRAPING_LIMITS;
+  globalThis.YALG_RETRY_POLICY = RETRY_POLICY;
+  globalThis.YALG_UPLOAD_QUEUE = UPLOAD_QUEUE;
+  globalThis.YALG_SYNC_SCHEDULE = SYNC_SCHEDULE;
+  globalThis.YALG_BULK_UPLOAD = BULK_UPLOAD;
+  globalThis.YALG_IDEMPOTENCY = IDEMPOTENCY;
+  globalThis.YALG_POST_EVENTS = POST_EVENTS;
+  globalThis.YALG_AUTH_CONTEXT_CONFIG = AUTH_CONTEXT;
 }
 
 // Make exports available globally for any environment that supports it
@@ -345,6 +563,10 @@ try {
       STATUS_TYPES,
       LINKEDIN_SELECTORS,
       SELECTORS: { LINKEDIN: LINKEDIN_SELECTORS },
+      POST_TYPES,
+      ACTIVITY_TYPES,
+      COLLECTION_SOURCES,
+      SYNC_MODES,
       API_ENDPOINTS,
       DEFAULT_CONFIG,
       STORAGE_KEYS,
@@ -354,6 +576,13 @@ try {
       LINKEDIN_URLS,
       DELAYS,
       SCRAPING_LIMITS,
+      RETRY_POLICY,
+      UPLOAD_QUEUE,
+      SYNC_SCHEDULE,
+      BULK_UPLOAD,
+      IDEMPOTENCY,
+      POST_EVENTS,
+      AUTH_CONTEXT,
       FRONTEND_URL,
       FRONTEND_LOGIN
     };
@@ -0,0 +1,42 @@
+/**
+ * Shared constants as an ES module
+ * constants.js stays a classic script so content scripts and the popup can
+ * load it directly. Importing it here runs it once, and the values it
+ * publishes on globalThis.YALG_EXPORTS are re-exported for the module
+ * service worker and everything it imports.
+ */
+
+import './constants.js';
+
+export const {
+  URLS,
+  URL_CONFIG,
+  MESSAGE_TYPES,
+  MESSAGES,
+  SYNC_PHASES,
+  STATUS_TYPES,
+  LINKEDIN_SELECTORS,
+  SELECTORS,
+  POST_TYPES,
+  ACTIVITY_TYPES,
+  COLLECTION_SOURCES,
+  SYNC_MODES,
+  API_ENDPOINTS,
+  DEFAULT_CONFIG,
+  STORAGE_KEYS,
+  ERROR_CODES,
+  LOG_LEVELS,
+  UI_CONSTANTS,
+  LINKEDIN_URLS,
+  DELAYS,
+  SCRAPING_LIMITS,
+  RETRY_POLICY,
+  UPLOAD_QUEUE,
+  SYNC_SCHEDULE,
+  BULK_UPLOAD,
+  IDEMPOTENCY,
+  POST_EVENTS,
+  AUTH_CONTEXT,
+  FRONTEND_URL,
+  FRONTEND_LOGIN
+} = globalThis.YALG_EXPORTS;
@@ -3,7 +3,7 @@
  * Provides consistent logging across the extension with levels and context
  */
 
-import { LOG_LEVELS } from '../constants.js';
+import { LOG_LEVELS } from '../constants.module.js';
 
 export class Logger {
   static currentLevel = LOG_LEVELS.INFO; // Default log level
@@ -3,7 +3,7 @@
  * Provides a clean interface for Chrome extension message passing
  */
 
-import { MESSAGE_TYPES } from '../constants.js';
+import { MESSAGE_TYPES } from '../constants.module.js';
 import { Logger } from './logger.js';
 
 export class MessageService {
@@ -25,18 +25,32 @@ export class MessageService {
    * @param {number} tabId - Tab ID
    * @param {string} type - Message type
    * @param {*} data - Message data
-   * @param {Object} options - Additional options
+   * @param {Object} options - `{ timeout, retries }`; without a timeout it waits for as long as the content script takes
    * @returns {Promise<*>} Response from content script
    */
   static async sendToContent(tabId, type, data = null, options = {}) {
-    try {
-      const response = await chrome.tabs.sendMessage(tabId, { type, data });
-      this.logger.debug(`Message sent to content script in tab ${tabId}`, { type, data, response });
-      return response;
-    } catch (error) {
-      this.logger.error(`Failed to send message to content script in tab ${tabId}`, { type, data, error });
-      throw error;
+    const { timeout = null, retries = 1 } = options;
+
+    let lastError;
+
+    for (let attempt = 0; attempt < retries; attempt++) {
+      try {
+        const response = await this._withTimeout(chrome.tabs.sendMessage(tabId, { type, data }), timeout);
+        this.logger.debug(`Message sent to content script in tab ${tabId}`, { type, data, attempt, response });
+        return response;
+
+      } catch (error) {
+        lastError = error;
+        this.logger.warn(`Content script message attempt ${attempt + 1} failed in tab ${tabId}`, { type, error });
+
+        if (attempt < retries - 1) {
+          await this._wait(1000 * (attempt + 1));
+        }
+      }
     }
+
+    this.logger.error(`Failed to send message to content script in tab ${tabId}`, { type, data, error: lastError });
+    throw lastError;
   }
 
   /**
@@ -144,6 +158,25 @@ export class MessageService {
     });
   }
 
+  /**
+   * Reject when a promise hasn't settled in time, without leaving the timer running
+   * @param {Promise} promise - Pending message
+   * @param {number|null} ms - Timeout in milliseconds, none when null
+   * @returns {Promise<*>} The promise's result
+   */
+  static _withTimeout(promise, ms) {
+    if (!ms) {
+      return promise;
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Message timeout after ${ms}ms`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
   /**
    * Wait for specified time
    * @param {number} ms - Time to wait in milliseconds
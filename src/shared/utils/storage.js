@@ -3,7 +3,7 @@
  * Provides a clean interface for Chrome storage operations with error handling
  */
 
-import { STORAGE_KEYS } from '../constants.js';
+import { STORAGE_KEYS } from '../constants.module.js';
 import { Logger } from './logger.js';
 
 export class StorageService {
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Classic content scripts: constants.js first, like the manifest loads them
+import '../src/shared/constants.js';
+import '../src/content/activityClassifier.js';
+
+const ActivityClassifier = globalThis.YALG_ACTIVITY_CLASSIFIER;
+const TYPES = globalThis.YALG_ACTIVITY_TYPES;
+
+// A post root without an activity header ("Jane reposted this") or article link
+const bareRoot = { querySelectorAll: () => [] };
+
+const postBy = (profileUrl, postType = 'text') => ({ author: { name: 'Someone', profileUrl }, postType });
+
+test('a post by the member is their own original post', () => {
+  const type = ActivityClassifier.classify(bareRoot, postBy('https://www.linkedin.com/in/janedoe'), 'janedoe');
+
+  assert.equal(type, TYPES.ORIGINAL);
+  assert.ok(ActivityClassifier.isUserAuthored(type));
+});
+
+test('someone else\'s post in the feed is not the member\'s', () => {
+  const type = ActivityClassifier.classify(bareRoot, postBy('https://www.linkedin.com/in/johnsmith'), 'janedoe');
+
+  assert.equal(type, TYPES.REPOST);
+  assert.equal(ActivityClassifier.isUserAuthored(type), false);
+});
+
+test('company posts are never the member\'s', () => {
+  assert.equal(ActivityClassifier.isOwnedBy(postBy('https://www.linkedin.com/company/acme'), 'janedoe'), false);
+});
+
+test('profile slugs compare case-insensitively and URL-decoded', () => {
+  assert.ok(ActivityClassifier.isOwnedBy(postBy('https://www.linkedin.com/in/J%C3%A9r%C3%B4me-D/'), 'jérôme-d'));
+});
+
+test('an unknown owner counts as owned, which is why callers must pass one', () => {
+  assert.ok(ActivityClassifier.isOwnedBy(postBy('https://www.linkedin.com/in/johnsmith'), null));
+  assert.ok(ActivityClassifier.isOwnedBy(postBy('https://www.linkedin.com/in/johnsmith'), 'me'));
+
+  // Without a header to go on, someone else's post then passes as the member's own
+  for (const owner of [null, 'me']) {
+    const type = ActivityClassifier.classify(bareRoot, postBy('https://www.linkedin.com/in/johnsmith'), owner);
+    assert.equal(type, TYPES.ORIGINAL);
+    assert.ok(ActivityClassifier.isUserAuthored(type));
+  }
+});
+
+test('an author without a profile link counts as owned', () => {
+  assert.ok(ActivityClassifier.isOwnedBy({ author: { name: 'Someone', profileUrl: null } }, 'janedoe'));
+  assert.ok(ActivityClassifier.isOwnedBy(null, 'janedoe'));
+});
+
+test('activity headers win over the author check', () => {
+  const header = (text) => ({
+    querySelectorAll: (selector) => selector === globalThis.YALG_LINKEDIN_SELECTORS.POST_HEADER
+      ? [{ textContent: text, closest: () => null }]
+      : []
+  });
+  const own = postBy('https://www.linkedin.com/in/janedoe');
+
+  assert.equal(ActivityClassifier.classify(header('Jane Doe commented on this'), own, 'janedoe'), TYPES.COMMENT);
+  assert.equal(ActivityClassifier.classify(header('Jane Doe likes this'), own, 'janedoe'), TYPES.REACTION);
+  assert.equal(ActivityClassifier.classify(header('Jane Doe reposted this'), own, 'janedoe'), TYPES.REPOST);
+});
+
+test('a reshare with the member\'s own commentary is theirs', () => {
+  const type = ActivityClassifier.classify(bareRoot, postBy('https://www.linkedin.com/in/janedoe', globalThis.YALG_POST_TYPES.RESHARE), 'janedoe');
+
+  assert.equal(type, TYPES.REPOST_WITH_THOUGHTS);
+});
@@ -0,0 +1,72 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.mjs';
+import { AuthContext } from '../src/background/authContext.js';
+
+let fake;
+let requests;
+
+// /users/me answers with the user
+function installFetch() {
+  requests = [];
+  globalThis.fetch = async (url, options = {}) => {
+    requests.push({ url, token: options.headers?.Authorization });
+    return { ok: true, status: 200, json: async () => ({ id: 'user-1' }) };
+  };
+}
+
+beforeEach(() => {
+  fake = installChrome();
+  fake.cookies = [{ name: 'accessToken', value: 'token-1' }];
+  installFetch();
+  AuthContext._context = null;
+  AuthContext._pending = null;
+});
+
+const userLookups = () => requests.filter(request => request.url === AuthContext.USERS_ME_URL).length;
+
+test('the user is looked up once and then served from the cache', async () => {
+  const first = await AuthContext.resolve();
+  const second = await AuthContext.resolve();
+
+  assert.equal(first.userId, 'user-1');
+  assert.equal(first.authToken, 'token-1');
+  assert.equal(second, first);
+  assert.equal(userLookups(), 1);
+  assert.equal(first.expiresAt - first.resolvedAt, AuthContext.TTL);
+});
+
+test('concurrent callers share one lookup', async () => {
+  const [a, b] = await Promise.all([AuthContext.resolve(), AuthContext.resolve()]);
+
+  assert.equal(a, b);
+  assert.equal(userLookups(), 1);
+});
+
+test('a forced or expired context is looked up again', async () => {
+  await AuthContext.resolve();
+  await AuthContext.resolve({ force: true });
+  assert.equal(userLookups(), 2);
+
+  AuthContext._context.expiresAt = Date.now() - 1;
+  assert.equal(AuthContext.peek(), null);
+  await AuthContext.resolve();
+  assert.equal(userLookups(), 3);
+});
+
+test('without the YALG cookie resolving fails with a 401', async () => {
+  fake.cookies = [];
+
+  await assert.rejects(AuthContext.resolve(), error => error.status === 401);
+  assert.equal(userLookups(), 0);
+});
+
+test('invalidating drops the cached context', async () => {
+  await AuthContext.resolve();
+  AuthContext.invalidate();
+
+  assert.equal(AuthContext.peek(), null);
+  await AuthContext.resolve();
+  assert.equal(userLookups(), 2);
+});
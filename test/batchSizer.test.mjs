@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatchSizer } from '../src/background/batchSizer.js';
+import { BULK_UPLOAD, RETRY_POLICY } from '../src/shared/constants.module.js';
+
+const items = (count, text = 'post') => Array.from({ length: count }, (_, i) => ({ id: `p${i}`, payload: { text } }));
+
+test('batches start at INITIAL_BATCH_SIZE', () => {
+  const sizer = new BatchSizer();
+
+  assert.equal(sizer.take(items(100)).batch.length, BULK_UPLOAD.INITIAL_BATCH_SIZE);
+});
+
+test('a batch stops before it exceeds the byte cap, but always takes one item', () => {
+  const payloadBytes = BatchSizer.byteLength({ text: 'x'.repeat(100) });
+  const sizer = new BatchSizer({ MAX_BATCH_BYTES: payloadBytes * 3 });
+
+  const { batch, bytes } = sizer.take(items(10, 'x'.repeat(100)));
+  assert.equal(batch.length, 3);
+  assert.equal(bytes, payloadBytes * 3);
+
+  const tiny = new BatchSizer({ MAX_BATCH_BYTES: 1 });
+  assert.equal(tiny.take(items(10)).batch.length, 1);
+});
+
+test('fast, full batches grow up to MAX_BATCH_SIZE', () => {
+  const sizer = new BatchSizer();
+
+  sizer.recordSuccess(100, sizer.size);
+  assert.equal(sizer.size, 15);
+
+  for (let i = 0; i < 10; i++) {
+    sizer.recordSuccess(100, sizer.size);
+  }
+  assert.equal(sizer.size, BULK_UPLOAD.MAX_BATCH_SIZE);
+});
+
+test('batches only grow when the size was the limit', () => {
+  const sizer = new BatchSizer();
+
+  sizer.recordSuccess(100, 3);
+  assert.equal(sizer.size, BULK_UPLOAD.INITIAL_BATCH_SIZE);
+});
+
+test('slow requests and failures shrink the batch, never below MIN_BATCH_SIZE', () => {
+  const sizer = new BatchSizer();
+
+  sizer.recordSuccess(BULK_UPLOAD.TARGET_LATENCY + 1, sizer.size);
+  assert.equal(sizer.size, 7);
+
+  sizer.recordFailure();
+  assert.equal(sizer.size, 3);
+
+  for (let i = 0; i < 5; i++) {
+    sizer.recordFailure();
+  }
+  assert.equal(sizer.size, BULK_UPLOAD.MIN_BATCH_SIZE);
+});
+
+test('a 429 halves the batch and cools down for Retry-After', () => {
+  const sizer = new BatchSizer();
+
+  sizer.recordRateLimited(5000);
+  assert.equal(sizer.size, 5);
+  assert.ok(sizer.cooldownRemaining() > 4000 && sizer.cooldownRemaining() <= 5000);
+
+  const fallback = new BatchSizer();
+  fallback.recordRateLimited();
+  assert.ok(fallback.cooldownRemaining() <= RETRY_POLICY.BASE_DELAY && fallback.cooldownRemaining() > 0);
+});
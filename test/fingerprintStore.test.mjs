@@ -0,0 +1,87 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.mjs';
+import { FingerprintStore } from '../src/background/fingerprintStore.js';
+import { IDEMPOTENCY } from '../src/shared/constants.module.js';
+
+const CHANGE = FingerprintStore.CHANGE;
+
+const SCOPE = 'janedoe:all';
+
+const element = (id, contentHash, postedAt = '2024-03-10T00:00:00.000Z', extra = {}) =>
+  ({ id, scope: SCOPE, contentHash, post: { postedAt }, ...extra });
+
+beforeEach(() => {
+  installChrome();
+});
+
+test('posts are new, unchanged or updated against their stored fingerprint', async () => {
+  await FingerprintStore.record([element('a', 'hash-a'), element('b', 'hash-b')]);
+
+  const changes = await FingerprintStore.classify([
+    element('a', 'hash-a'),
+    element('b', 'hash-b-edited'),
+    element('c', 'hash-c')
+  ]);
+
+  assert.equal(changes.get('a'), CHANGE.UNCHANGED);
+  assert.equal(changes.get('b'), CHANGE.UPDATED);
+  assert.equal(changes.get('c'), CHANGE.NEW);
+});
+
+test('a post synced before fingerprints existed is a baseline, not new', async () => {
+  const changes = await FingerprintStore.classify([element('a', 'hash-a', undefined, { alreadySynced: true })]);
+
+  assert.equal(changes.get('a'), CHANGE.BASELINE);
+});
+
+test('a fingerprint from an older hash version is a baseline, not an edit', async () => {
+  await FingerprintStore.record([element('a', 'hash-a')]);
+  const store = await chrome.storage.local.get([FingerprintStore.STORAGE_KEY]);
+  store[FingerprintStore.STORAGE_KEY][SCOPE].a.version = IDEMPOTENCY.HASH_VERSION - 1;
+  await chrome.storage.local.set(store);
+
+  const changes = await FingerprintStore.classify([element('a', 'hash-a-rehashed')]);
+
+  assert.equal(changes.get('a'), CHANGE.BASELINE);
+});
+
+test('fingerprints are kept per scope', async () => {
+  await FingerprintStore.record([element('a', 'hash-a')]);
+
+  const changes = await FingerprintStore.classify([{ ...element('a', 'hash-a'), scope: 'janedoe:comments' }]);
+
+  assert.equal(changes.get('a'), CHANGE.NEW);
+});
+
+test('only synced posts inside the scanned window that were not seen are possibly removed', async () => {
+  await FingerprintStore.record([
+    element('seen', 'h1', '2024-03-20T00:00:00.000Z'),
+    element('gone', 'h2', '2024-03-15T00:00:00.000Z'),
+    element('older', 'h3', '2024-02-01T00:00:00.000Z'),
+    element('undated', 'h4', null)
+  ]);
+
+  const missing = await FingerprintStore.reconcile(SCOPE, ['seen'], '2024-03-01T00:00:00.000Z');
+
+  assert.deepEqual(missing.map(entry => entry.postId), ['gone']);
+  assert.equal(missing[0].postedAt, '2024-03-15T00:00:00.000Z');
+});
+
+test('without a scanned window nothing is reported', async () => {
+  await FingerprintStore.record([element('gone', 'h2')]);
+
+  assert.deepEqual(await FingerprintStore.reconcile(SCOPE, [], null), []);
+});
+
+test('a reported post is reported once, and again only after it reappears and goes missing', async () => {
+  const since = '2024-03-01T00:00:00.000Z';
+  await FingerprintStore.record([element('gone', 'h2')]);
+
+  await FingerprintStore.markReported(SCOPE, ['gone']);
+  assert.deepEqual(await FingerprintStore.reconcile(SCOPE, [], since), []);
+
+  await FingerprintStore.reconcile(SCOPE, ['gone'], since);
+  assert.deepEqual((await FingerprintStore.reconcile(SCOPE, [], since)).map(entry => entry.postId), ['gone']);
+});
@@ -0,0 +1,65 @@
+/**
+ * In-memory stand-in for the chrome.* APIs the background modules use:
+ * storage.local, alarms, cookies (whatever is in `cookies`),
+ * runtime.sendMessage (which rejects like it does when no popup is open,
+ * unless `listening` is set) and tabs, where only the ids in `openTabs` exist
+ * and answer messages.
+ */
+
+export function installChrome() {
+  const fake = {
+    store: {},
+    alarms: new Map(),
+    messages: [],
+    listening: false,
+    cookies: [],
+    openTabs: new Set(),
+    tabMessages: []
+  };
+
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries([].concat(keys)
+          .filter(key => key in fake.store)
+          .map(key => [key, structuredClone(fake.store[key])])),
+        set: async (values) => Object.assign(fake.store, structuredClone(values)),
+        remove: async (keys) => [].concat(keys).forEach(key => delete fake.store[key])
+      }
+    },
+    alarms: {
+      create: async (name, info) => fake.alarms.set(name, info),
+      get: async (name) => fake.alarms.has(name) ? { name, scheduledTime: fake.alarms.get(name).when } : null,
+      clear: async (name) => fake.alarms.delete(name)
+    },
+    cookies: {
+      get: async ({ name }) => fake.cookies.find(cookie => cookie.name === name) || null,
+      getAll: async ({ name }) => fake.cookies.filter(cookie => cookie.name === name)
+    },
+    runtime: {
+      sendMessage: async (message) => {
+        fake.messages.push(message);
+        if (!fake.listening) {
+          throw new Error('Could not establish connection. Receiving end does not exist.');
+        }
+      }
+    },
+    tabs: {
+      get: async (tabId) => {
+        if (!fake.openTabs.has(tabId)) {
+          throw new Error(`No tab with id: ${tabId}.`);
+        }
+        return { id: tabId };
+      },
+      sendMessage: async (tabId, message) => {
+        if (!fake.openTabs.has(tabId)) {
+          throw new Error('Could not establish connection. Receiving end does not exist.');
+        }
+        fake.tabMessages.push({ tabId, ...message });
+        return { success: true };
+      }
+    }
+  };
+
+  return fake;
+}
@@ -0,0 +1,120 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.mjs';
+import { IdempotencyLedger } from '../src/background/idempotencyLedger.js';
+
+const URN = 'urn:li:activity:7123456789012345678';
+
+const post = {
+  id: URN,
+  urn: URN,
+  author: { name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/janedoe' },
+  text: 'Three things I learned shipping our first release #leadership',
+  hashtags: ['leadership'],
+  postedAt: '2024-05-02T09:14:00.000Z',
+  postedRelative: '1d',
+  postType: 'text',
+  metrics: { reactions: 12, comments: 4, reposts: 1, impressions: null, capturedAt: '2024-05-03T09:00:00.000Z' }
+};
+
+beforeEach(() => {
+  installChrome();
+});
+
+test('the key is the post id plus a hash of its content', async () => {
+  const key = await IdempotencyLedger.keyFor({ id: URN, post });
+
+  assert.match(key, new RegExp(`^${URN}:[0-9a-f]{64}$`));
+});
+
+test('new engagement and an older relative time keep the key', async () => {
+  const later = {
+    ...post,
+    postedRelative: '2d',
+    metrics: { reactions: 57, comments: 9, reposts: 3, impressions: 1200, capturedAt: '2024-05-04T09:00:00.000Z' }
+  };
+
+  assert.equal(await IdempotencyLedger.keyFor({ id: URN, post: later }), await IdempotencyLedger.keyFor({ id: URN, post }));
+});
+
+test('an edit by the author changes the key', async () => {
+  const edited = { ...post, text: `${post.text} (edited)` };
+
+  assert.notEqual(await IdempotencyLedger.keyFor({ id: URN, post: edited }), await IdempotencyLedger.keyFor({ id: URN, post }));
+});
+
+test('content hashes do not depend on key order', async () => {
+  const reordered = Object.fromEntries(Object.entries(post).reverse());
+
+  assert.equal(await IdempotencyLedger.contentHash(reordered), await IdempotencyLedger.contentHash(post));
+});
+
+test('batch keys do not depend on post order', async () => {
+  assert.equal(await IdempotencyLedger.batchKey(['b', 'a']), await IdempotencyLedger.batchKey(['a', 'b']));
+});
+
+// The same image post as PostExtractor.extract returns it on two syncs a day apart
+function extractedPost({ signature, headline, reactions, postedRelative, activityType, rendition = 'shrink_800' }) {
+  return {
+    id: URN,
+    urn: URN,
+    author: { name: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/janedoe', headline },
+    text: 'Three things I learned shipping our first release #leadership',
+    hashtags: ['leadership'],
+    mentions: [{ name: 'Acme', profileUrl: 'https://www.linkedin.com/company/acme', kind: 'organization' }],
+    links: ['https://lnkd.in/abc123'],
+    media: [{
+      type: 'image',
+      url: `https://media.licdn.com/dms/image/v2/D4E22AQHk1a2b3c4d5e/feedshare-${rendition}/0/1714640040000?e=${signature}&v=beta&t=${signature}x`,
+      alt: 'Release party'
+    }],
+    postedAt: '2024-05-02T09:14:00.000Z',
+    postedRelative,
+    postType: 'image',
+    activityType,
+    metrics: { reactions, comments: 4, reposts: 1, impressions: null, capturedAt: new Date().toISOString() }
+  };
+}
+
+const first = extractedPost({ signature: '1717200000', headline: 'Founder at Acme', reactions: 12, postedRelative: '1d', activityType: 'original' });
+const second = extractedPost({ signature: '1717286400', headline: 'CEO at Acme', reactions: 57, postedRelative: '2d', activityType: 'shared', rendition: 'shrink_2048_1536' });
+
+test('extracting the same post twice gives the same idempotency key', async () => {
+  const key = await IdempotencyLedger.keyFor({ id: URN, post: first });
+
+  assert.equal(await IdempotencyLedger.keyFor({ id: URN, post: second }), key);
+  assert.ok(key.startsWith(`${URN}:`));
+});
+
+test('swapping the attached image changes the key', async () => {
+  const swapped = { ...first, media: [{ ...first.media[0], url: first.media[0].url.replace('D4E22AQHk1a2b3c4d5e', 'D4E22AQZz9y8x7w6v5u') }] };
+
+  assert.notEqual(await IdempotencyLedger.contentHash(swapped), await IdempotencyLedger.contentHash(first));
+});
+
+test('media identity ignores query strings, renditions and blob URLs', () => {
+  assert.equal(IdempotencyLedger.mediaIdentity(first.media[0].url), 'D4E22AQHk1a2b3c4d5e');
+  assert.equal(
+    IdempotencyLedger.mediaIdentity('https://dms.licdn.com/playlist/vid/v2/D4E05AQF00ba12/mp4-720p-30fp-crf28/0/1714640040000?e=1&t=2'),
+    'D4E05AQF00ba12'
+  );
+  assert.equal(IdempotencyLedger.mediaIdentity('https://example.com/cover.png?utm_source=x#top'), 'https://example.com/cover.png');
+  assert.equal(IdempotencyLedger.mediaIdentity('blob:https://www.linkedin.com/5f0c7a8e'), null);
+  assert.equal(IdempotencyLedger.mediaIdentity(null), null);
+});
+
+test('acknowledged keys are remembered, oldest dropped past the limit', async () => {
+  await IdempotencyLedger.acknowledge(['a:1', 'b:1']);
+
+  assert.deepEqual([...(await IdempotencyLedger.filterAcknowledged(['a:1', 'a:2', 'b:1']))], ['a:1', 'b:1']);
+
+  const ledger = Object.fromEntries(Array.from({ length: IdempotencyLedger.LIMIT }, (_, i) => [`old:${i}`, i]));
+  await chrome.storage.local.set({ [IdempotencyLedger.STORAGE_KEY]: ledger });
+  await IdempotencyLedger.acknowledge(['new:1']);
+
+  const stored = (await chrome.storage.local.get([IdempotencyLedger.STORAGE_KEY]))[IdempotencyLedger.STORAGE_KEY];
+  assert.equal(Object.keys(stored).length, IdempotencyLedger.LIMIT);
+  assert.ok('new:1' in stored);
+  assert.ok(!('old:0' in stored));
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { InspirationService } from '../src/background/services/inspirationService.js';
+
+test('tags are lowercased, stripped of # and deduplicated', () => {
+  assert.deepEqual(
+    InspirationService.normalizeTags(['#Hooks', ' hooks ', '##Storytelling', '', '  ']),
+    ['hooks', 'storytelling']
+  );
+});
+
+test('tags are capped at TAGS_LIMIT and anything but an array is no tags', () => {
+  const many = Array.from({ length: 30 }, (_, i) => `tag${i}`);
+
+  assert.equal(InspirationService.normalizeTags(many).length, InspirationService.TAGS_LIMIT);
+  assert.deepEqual(InspirationService.normalizeTags('hooks'), []);
+  assert.deepEqual(InspirationService.normalizeTags(null), []);
+});
+
+test('the inspiration body keeps what a writer studies, with a trimmed note', () => {
+  const post = {
+    id: 'urn:li:activity:1',
+    urn: 'urn:li:activity:1',
+    author: { name: 'Someone', profileUrl: 'https://www.linkedin.com/in/someone' },
+    text: 'A hook',
+    postType: 'image',
+    hashtags: ['#writing'],
+    rawHtml: '<div></div>'
+  };
+
+  const body = InspirationService.toInspirationBody(post, `  ${'n'.repeat(3000)}  `, ['#Hooks'], 'https://www.linkedin.com/feed/');
+
+  assert.equal(body.postId, post.id);
+  assert.equal(body.mediaType, 'image');
+  assert.deepEqual(body.media, []);
+  assert.equal(body.note.length, InspirationService.NOTE_MAX_LENGTH);
+  assert.deepEqual(body.tags, ['hooks']);
+  assert.equal(body.sourceUrl, 'https://www.linkedin.com/feed/');
+  assert.ok(!('rawHtml' in body));
+});
+
+test('a blank note is sent as null', () => {
+  assert.equal(InspirationService.toInspirationBody({ id: 'p1' }, '   ', [], null).note, null);
+});
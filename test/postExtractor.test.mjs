@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Classic content scripts: constants.js first, like the manifest loads them
+import '../src/shared/constants.js';
+import '../src/content/postExtractor.js';
+
+const PostExtractor = globalThis.YALG_POST_EXTRACTOR;
+
+// 1700000000000 ms shifted into the top 41 bits, plus LinkedIn's low bits
+const URN_ID = '7130316800000012345';
+
+test('urnTimestamp decodes the creation time from the URN id', () => {
+  assert.equal(PostExtractor.urnTimestamp(`urn:li:activity:${URN_ID}`), '2023-11-14T22:13:20.000Z');
+  assert.equal(PostExtractor.urnTimestamp(`urn:li:ugcPost:${URN_ID}`), '2023-11-14T22:13:20.000Z');
+});
+
+test('urnTimestamp ignores missing and non-numeric URNs', () => {
+  assert.equal(PostExtractor.urnTimestamp(null), null);
+  assert.equal(PostExtractor.urnTimestamp('urn:li:activity:123'), null);
+  assert.equal(PostExtractor.urnTimestamp('content:abc123'), null);
+});
+
+test('parseCount reads plain, grouped and abbreviated counts', () => {
+  assert.equal(PostExtractor.parseCount('42'), 42);
+  assert.equal(PostExtractor.parseCount('1,234 reactions'), 1234);
+  assert.equal(PostExtractor.parseCount('12 comments'), 12);
+  assert.equal(PostExtractor.parseCount('1.2K'), 1200);
+  assert.equal(PostExtractor.parseCount('3,5k impressions'), 3500);
+  assert.equal(PostExtractor.parseCount('2M'), 2000000);
+});
+
+test('parseCount returns null when there is no number', () => {
+  assert.equal(PostExtractor.parseCount(null), null);
+  assert.equal(PostExtractor.parseCount('Comment'), null);
+});
+
+test('isPinned reads the pinned label from the post header', () => {
+  const post = headerText => ({
+    querySelectorAll: () => (headerText === null ? [] : [{ textContent: headerText, closest: () => null }]),
+    matches: () => false
+  });
+
+  assert.equal(PostExtractor.isPinned(post('  Pinned  ')), true);
+  assert.equal(PostExtractor.isPinned(post('Jane Doe reposted this')), false);
+  assert.equal(PostExtractor.isPinned(post(null)), false);
+});
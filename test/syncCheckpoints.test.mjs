@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.mjs';
+
+// Classic content scripts: constants.js first, like the manifest loads them
+import '../src/shared/constants.js';
+import '../src/content/syncCheckpoints.js';
+
+const SyncCheckpoints = globalThis.YALG_SYNC_CHECKPOINTS;
+
+const mark = { urn: 'urn:li:activity:2', postedAt: '2024-03-02T00:00:00.000Z' };
+
+const element = (id, postedAt) => ({ id, post: { urn: `urn:li:activity:${id}`, postedAt } });
+
+test('a post is known at or below the high-water mark', () => {
+  assert.ok(SyncCheckpoints.isKnownPost({ urn: mark.urn }, mark));
+  assert.ok(SyncCheckpoints.isKnownPost({ urn: 'urn:li:activity:1', postedAt: '2024-03-01T00:00:00.000Z' }, mark));
+  assert.ok(!SyncCheckpoints.isKnownPost({ urn: 'urn:li:activity:3', postedAt: '2024-03-03T00:00:00.000Z' }, mark));
+});
+
+test('without a mark or a date nothing is known', () => {
+  assert.ok(!SyncCheckpoints.isKnownPost({ urn: mark.urn }, null));
+  assert.ok(!SyncCheckpoints.isKnownPost({ urn: 'urn:li:activity:3', postedAt: null }, mark));
+});
+
+test('the mark advances to the newest post when every upload succeeded', () => {
+  const elements = [element('1', '2024-03-01T00:00:00.000Z'), element('3', '2024-03-03T00:00:00.000Z')];
+
+  assert.deepEqual(
+    SyncCheckpoints.computeNextMark(elements, new Set(), mark),
+    { urn: 'urn:li:activity:3', postedAt: '2024-03-03T00:00:00.000Z' }
+  );
+});
+
+test('the mark stays below the oldest failure so it is re-sent next time', () => {
+  const elements = [
+    element('3', '2024-03-03T00:00:00.000Z'),
+    element('4', '2024-03-04T00:00:00.000Z'),
+    element('5', '2024-03-05T00:00:00.000Z')
+  ];
+
+  assert.deepEqual(
+    SyncCheckpoints.computeNextMark(elements, new Set(['4']), mark),
+    { urn: 'urn:li:activity:3', postedAt: '2024-03-03T00:00:00.000Z' }
+  );
+  assert.equal(SyncCheckpoints.computeNextMark(elements, new Set(['3']), mark), mark);
+});
+
+test('the mark never moves backwards', () => {
+  const elements = [element('1', '2024-03-01T00:00:00.000Z')];
+
+  assert.equal(SyncCheckpoints.computeNextMark(elements, new Set(), mark), mark);
+});
+
+test('a pinned known post does not stop collection of the newer posts below it', () => {
+  const feed = [
+    { urn: 'urn:li:activity:1', postedAt: '2024-03-01T00:00:00.000Z', pinned: true },
+    { urn: 'urn:li:activity:4', postedAt: '2024-03-04T00:00:00.000Z', pinned: false },
+    { urn: 'urn:li:activity:3', postedAt: '2024-03-03T00:00:00.000Z', pinned: false },
+    { urn: mark.urn, postedAt: mark.postedAt, pinned: false }
+  ];
+
+  assert.ok(SyncCheckpoints.isKnownPost(feed[0], mark));
+  assert.equal(feed.findIndex(post => SyncCheckpoints.isStopPoint(post, mark)), 3);
+});
+
+test('an /in/me/ page resolves to the signed-in member', async (t) => {
+  const fake = installChrome();
+  const link = { href: 'https://www.linkedin.com/in/janedoe/' };
+  globalThis.document = { querySelector: () => link };
+  t.after(() => { delete globalThis.document; });
+
+  const activityUrl = 'https://www.linkedin.com/in/me/recent-activity/comments/';
+  assert.equal(await SyncCheckpoints.resolveOwnerProfileId(activityUrl), 'janedoe');
+  assert.equal(fake.store.memberProfileId, 'janedoe');
+
+  // Profile pages don't show the identity card, the last member seen is used
+  globalThis.document = { querySelector: () => null };
+  assert.equal(await SyncCheckpoints.resolveOwnerProfileId(activityUrl), 'janedoe');
+  assert.equal(await SyncCheckpoints.resolveOwnerProfileId('https://www.linkedin.com/in/johnsmith/recent-activity/comments/'), 'johnsmith');
+
+  delete fake.store.memberProfileId;
+  assert.equal(await SyncCheckpoints.resolveOwnerProfileId(activityUrl), null);
+});
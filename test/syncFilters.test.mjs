@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Classic content scripts: constants.js first, like the manifest loads them
+import '../src/shared/constants.js';
+import '../src/content/syncFilters.js';
+
+const SyncFilters = globalThis.YALG_SYNC_FILTERS;
+const TYPES = globalThis.YALG_POST_TYPES;
+
+const now = new Date('2024-03-31T12:00:00.000Z');
+
+const post = (postedAt, postType = TYPES.TEXT) => ({ urn: 'urn:li:activity:1', postedAt, postType });
+
+test('no filters, or only empty ones, filter nothing', () => {
+  assert.equal(SyncFilters.normalize(null, now), null);
+  assert.equal(SyncFilters.normalize({ lastDays: 0, since: '', postTypes: [] }, now), null);
+  assert.ok(SyncFilters.matches(post('2020-01-01T00:00:00.000Z'), null));
+});
+
+test('lastDays counts back from now', () => {
+  const filters = SyncFilters.normalize({ lastDays: 7 }, now);
+
+  assert.equal(filters.since, '2024-03-24T12:00:00.000Z');
+  assert.equal(filters.until, null);
+});
+
+test('lastDays and since together keep the later of the two', () => {
+  assert.equal(SyncFilters.normalize({ lastDays: 7, since: '2024-03-01' }, now).since, '2024-03-24T12:00:00.000Z');
+  assert.equal(SyncFilters.normalize({ lastDays: 7, since: '2024-03-28' }, now).since, '2024-03-28T00:00:00.000Z');
+});
+
+test('a bare until date includes that whole day', () => {
+  const filters = SyncFilters.normalize({ until: '2024-03-10' }, now);
+
+  assert.equal(filters.until, '2024-03-10T23:59:59.999Z');
+  assert.ok(SyncFilters.matches(post('2024-03-10T18:00:00.000Z'), filters));
+  assert.ok(!SyncFilters.matches(post('2024-03-11T00:00:00.000Z'), filters));
+});
+
+test('unknown post types are dropped from the filter', () => {
+  const filters = SyncFilters.normalize({ postTypes: [TYPES.IMAGE, 'hologram'] }, now);
+
+  assert.deepEqual(filters.postTypes, [TYPES.IMAGE]);
+  assert.equal(SyncFilters.normalize({ postTypes: ['hologram'] }, now), null);
+});
+
+test('post-type filters only let the chosen types through', () => {
+  const filters = SyncFilters.normalize({ postTypes: [TYPES.IMAGE, TYPES.VIDEO] }, now);
+
+  assert.ok(SyncFilters.matches(post('2024-03-01T00:00:00.000Z', TYPES.IMAGE), filters));
+  assert.ok(!SyncFilters.matches(post('2024-03-01T00:00:00.000Z', TYPES.TEXT), filters));
+});
+
+test('undated posts are not dropped on date alone', () => {
+  const filters = SyncFilters.normalize({ since: '2024-03-01', postTypes: [TYPES.TEXT] }, now);
+
+  assert.ok(SyncFilters.matches(post(null), filters));
+  assert.ok(!SyncFilters.matches(post(null, TYPES.IMAGE), filters));
+  assert.ok(!SyncFilters.isBeforeRange(post(null), filters));
+});
+
+test('collection stops only at posts strictly older than since', () => {
+  const filters = SyncFilters.normalize({ since: '2024-03-01' }, now);
+
+  assert.ok(!SyncFilters.isBeforeRange(post('2024-03-01T00:00:00.000Z'), filters));
+  assert.ok(SyncFilters.matches(post('2024-03-01T00:00:00.000Z'), filters));
+  assert.ok(SyncFilters.isBeforeRange(post('2024-02-29T23:59:59.999Z'), filters));
+  assert.ok(!SyncFilters.isBeforeRange(post('2020-01-01T00:00:00.000Z'), null));
+});
+
+test('only date-from filters still cover every newer post', () => {
+  assert.ok(SyncFilters.coversAllPosts(null));
+  assert.ok(SyncFilters.coversAllPosts(SyncFilters.normalize({ lastDays: 30 }, now)));
+  assert.ok(!SyncFilters.coversAllPosts(SyncFilters.normalize({ until: '2024-03-10' }, now)));
+  assert.ok(!SyncFilters.coversAllPosts(SyncFilters.normalize({ postTypes: [TYPES.IMAGE] }, now)));
+});
@@ -0,0 +1,162 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.mjs';
+import { SyncScheduler } from '../src/background/services/syncScheduler.js';
+import { SYNC_SCHEDULE, SYNC_MODES, STORAGE_KEYS, ERROR_CODES } from '../src/shared/constants.module.js';
+
+const { FREQUENCIES } = SYNC_SCHEDULE;
+const RUN_STATUS = SyncScheduler.RUN_STATUS;
+const MINUTE = 60 * 1000;
+
+let fake;
+
+beforeEach(() => {
+  fake = installChrome();
+  fake.cookies = [{ name: 'li_at', value: 'linkedin-session' }];
+});
+
+// Stand-in for SyncService: `startSync` resolves with a session unless `startError` is set
+function fakeSyncService({ current = null, startError = null } = {}) {
+  return {
+    ready: Promise.resolve(),
+    started: [],
+    getCurrentSyncStatus: () => current,
+    getSyncHistory: () => [],
+    async startSync(config) {
+      this.started.push(config);
+      if (startError) {
+        throw startError;
+      }
+      return { id: `sync_${this.started.length}` };
+    }
+  };
+}
+
+const stored = () => fake.store[STORAGE_KEYS.SYNC_SCHEDULE];
+
+// Minutes from now until the alarm fires
+const alarmInMinutes = () => Math.round((fake.alarms.get(SyncScheduler.ALARM_NAME).when - Date.now()) / MINUTE);
+
+test('turning the schedule on arms the alarm one interval out, turning it off clears it', async () => {
+  const scheduler = new SyncScheduler(fakeSyncService());
+
+  await scheduler.setSchedule({ frequency: FREQUENCIES.DAILY });
+  assert.equal(alarmInMinutes(), SYNC_SCHEDULE.INTERVAL_MINUTES.daily);
+
+  await scheduler.setSchedule({ frequency: FREQUENCIES.OFF });
+  assert.ok(!fake.alarms.has(SyncScheduler.ALARM_NAME));
+  assert.equal(stored().nextRunAt, null);
+});
+
+test('custom intervals have a minimum', async () => {
+  const scheduler = new SyncScheduler(fakeSyncService());
+
+  await assert.rejects(
+    scheduler.setSchedule({ frequency: FREQUENCIES.CUSTOM, intervalMinutes: SYNC_SCHEDULE.MIN_INTERVAL_MINUTES - 1 }),
+    /at least/
+  );
+  await assert.rejects(scheduler.setSchedule({ frequency: 'hourly' }), /Unknown schedule frequency/);
+});
+
+test('a run starts a background incremental sync and re-arms for the next interval', async () => {
+  const syncService = fakeSyncService();
+  const scheduler = new SyncScheduler(syncService);
+  await scheduler.setSchedule({ frequency: FREQUENCIES.WEEKLY, source: 'shares' });
+
+  await scheduler.run();
+
+  assert.equal(syncService.started.length, 1);
+  assert.equal(syncService.started[0].syncMode, SYNC_MODES.INCREMENTAL);
+  assert.equal(syncService.started[0].source, 'shares');
+  assert.equal(syncService.started[0].trigger, 'scheduled');
+  assert.ok(syncService.started[0].background);
+  assert.deepEqual({ status: stored().lastRun.status, sessionId: stored().lastRun.sessionId }, { status: RUN_STATUS.STARTED, sessionId: 'sync_1' });
+  assert.equal(alarmInMinutes(), SYNC_SCHEDULE.INTERVAL_MINUTES.weekly);
+});
+
+test('a run while another sync is active is retried soon', async () => {
+  const syncService = fakeSyncService({ current: { id: 'manual', completed: false } });
+  const scheduler = new SyncScheduler(syncService);
+  await scheduler.setSchedule({ frequency: FREQUENCIES.DAILY });
+
+  await scheduler.run();
+
+  assert.equal(syncService.started.length, 0);
+  assert.equal(stored().lastRun.status, RUN_STATUS.BUSY);
+  assert.equal(alarmInMinutes(), SYNC_SCHEDULE.BUSY_RETRY_MINUTES);
+});
+
+test('signed-out runs back off, doubling up to the schedule interval', async () => {
+  fake.cookies = [];
+  const syncService = fakeSyncService();
+  const scheduler = new SyncScheduler(syncService);
+  const interval = SYNC_SCHEDULE.LOGGED_OUT_RETRY_MINUTES * 3;
+  await scheduler.setSchedule({ frequency: FREQUENCIES.CUSTOM, intervalMinutes: interval });
+
+  const delays = [];
+  for (let run = 0; run < 4; run++) {
+    await scheduler.run();
+    delays.push(alarmInMinutes());
+  }
+
+  const base = SYNC_SCHEDULE.LOGGED_OUT_RETRY_MINUTES;
+  assert.deepEqual(delays, [base, base * 2, interval, interval]);
+  assert.equal(stored().lastRun.status, RUN_STATUS.LOGGED_OUT);
+  assert.equal(syncService.started.length, 0);
+});
+
+test('signing back in resets the backoff', async () => {
+  fake.cookies = [];
+  const scheduler = new SyncScheduler(fakeSyncService());
+  await scheduler.setSchedule({ frequency: FREQUENCIES.DAILY });
+  await scheduler.run();
+  await scheduler.run();
+
+  fake.cookies = [{ name: 'li_at', value: 'linkedin-session' }];
+  await scheduler.run();
+
+  assert.equal(stored().loggedOutAttempts, 0);
+  assert.equal(stored().lastRun.status, RUN_STATUS.STARTED);
+});
+
+test('a tab that finds LinkedIn signed out backs off too; other failures wait for the next run', async () => {
+  const loggedOut = Object.assign(new Error('LinkedIn is signed out'), { code: ERROR_CODES.LINKEDIN_LOGGED_OUT });
+  const scheduler = new SyncScheduler(fakeSyncService({ startError: loggedOut }));
+  await scheduler.setSchedule({ frequency: FREQUENCIES.DAILY });
+
+  await scheduler.run();
+  assert.equal(stored().lastRun.status, RUN_STATUS.LOGGED_OUT);
+  assert.equal(alarmInMinutes(), SYNC_SCHEDULE.LOGGED_OUT_RETRY_MINUTES);
+
+  const failing = new SyncScheduler(fakeSyncService({ startError: new Error('Could not access LinkedIn') }));
+  await failing.run();
+  assert.equal(stored().lastRun.status, RUN_STATUS.FAILED);
+  assert.equal(stored().lastRun.error, 'Could not access LinkedIn');
+  assert.equal(alarmInMinutes(), SYNC_SCHEDULE.INTERVAL_MINUTES.daily);
+});
+
+test('a dropped alarm is recreated, but never while the schedule is off', async () => {
+  const scheduler = new SyncScheduler(fakeSyncService());
+
+  await scheduler.ensureAlarm();
+  assert.ok(!fake.alarms.has(SyncScheduler.ALARM_NAME));
+
+  await scheduler.setSchedule({ frequency: FREQUENCIES.DAILY });
+  const nextRunAt = stored().nextRunAt;
+  fake.alarms.clear();
+
+  await scheduler.ensureAlarm();
+  assert.equal(fake.alarms.get(SyncScheduler.ALARM_NAME).when, nextRunAt);
+});
+
+test('a run missed while the browser was closed happens shortly after startup', async () => {
+  const scheduler = new SyncScheduler(fakeSyncService());
+  await scheduler.setSchedule({ frequency: FREQUENCIES.DAILY });
+  fake.store[STORAGE_KEYS.SYNC_SCHEDULE].nextRunAt = Date.now() - 60 * MINUTE;
+  fake.alarms.clear();
+
+  await scheduler.ensureAlarm();
+
+  assert.equal(alarmInMinutes(), 1);
+});
@@ -0,0 +1,162 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.mjs';
+import { SyncService } from '../src/background/services/syncService.js';
+import { SYNC_PHASES, STORAGE_KEYS, MESSAGE_TYPES } from '../src/shared/constants.module.js';
+
+let fake;
+
+beforeEach(() => {
+  fake = installChrome();
+});
+
+const apiClient = () => ({ options: {}, setAuthToken() {} });
+
+async function serviceInPhase(phase, session = {}) {
+  const service = new SyncService(apiClient());
+  await service.ready;
+  service.currentSync = { ...service.createSyncSession({}), tabId: 7, phase, ...session };
+  return service;
+}
+
+test('a session moves through collecting and queueing to completed', async () => {
+  const service = await serviceInPhase(SYNC_PHASES.INITIALIZING);
+
+  for (const phase of [SYNC_PHASES.COLLECTING, SYNC_PHASES.QUEUEING, SYNC_PHASES.COLLECTING, SYNC_PHASES.PROCESSING]) {
+    assert.ok(await service.transition(phase), `-> ${phase}`);
+    assert.ok(!service.currentSync.completed);
+  }
+
+  assert.ok(await service.transition(SYNC_PHASES.COMPLETED));
+  assert.ok(service.currentSync.completed);
+  assert.equal(fake.store[STORAGE_KEYS.SYNC_SESSION].phase, SYNC_PHASES.COMPLETED);
+});
+
+test('moves the state machine does not allow are ignored', async () => {
+  const service = await serviceInPhase(SYNC_PHASES.INITIALIZING);
+
+  assert.ok(!(await service.transition(SYNC_PHASES.COMPLETED)));
+  assert.equal(service.currentSync.phase, SYNC_PHASES.INITIALIZING);
+
+  const done = await serviceInPhase(SYNC_PHASES.COMPLETED, { completed: true });
+  assert.ok(!(await done.transition(SYNC_PHASES.COLLECTING)));
+  assert.ok(!(await done.transition(SYNC_PHASES.ERROR)));
+});
+
+test('any active phase can fail', async () => {
+  for (const phase of [SYNC_PHASES.INITIALIZING, SYNC_PHASES.COLLECTING, SYNC_PHASES.QUEUEING, SYNC_PHASES.PROCESSING]) {
+    const service = await serviceInPhase(phase);
+    assert.ok(await service.transition(SYNC_PHASES.ERROR), `${phase} -> error`);
+    assert.ok(service.currentSync.completed);
+  }
+});
+
+test('finishing in a phase that is not reachable ends the session in error', async () => {
+  const service = await serviceInPhase(SYNC_PHASES.COLLECTING);
+
+  const session = await service.finishSession(SYNC_PHASES.COMPLETED);
+
+  assert.equal(session.phase, SYNC_PHASES.ERROR);
+  assert.ok(session.completed);
+  assert.match(session.error, /completed/);
+  assert.deepEqual(fake.store[STORAGE_KEYS.SYNC_HISTORY].map(entry => entry.id), [session.id]);
+});
+
+test('a rehydrated session whose tab is gone is closed as interrupted', async () => {
+  const stored = await serviceInPhase(SYNC_PHASES.COLLECTING);
+  await stored.persist();
+
+  const service = new SyncService(apiClient());
+  await service.ready;
+
+  assert.equal(service.currentSync.phase, SYNC_PHASES.ERROR);
+  assert.match(service.currentSync.error, /tab was closed/);
+});
+
+test('a rehydrated session whose tab is still open carries on', async () => {
+  fake.openTabs.add(7);
+  const stored = await serviceInPhase(SYNC_PHASES.QUEUEING);
+  await stored.persist();
+
+  const service = new SyncService(apiClient());
+  await service.ready;
+
+  assert.equal(service.currentSync.id, stored.currentSync.id);
+  assert.equal(service.currentSync.phase, SYNC_PHASES.QUEUEING);
+  assert.ok(await service.transition(SYNC_PHASES.PROCESSING));
+});
+
+test('pausing and resuming persist the flag and tell the sync\'s tab', async () => {
+  fake.openTabs.add(7);
+  const service = await serviceInPhase(SYNC_PHASES.COLLECTING);
+
+  assert.ok(await service.pauseSync());
+  assert.ok(fake.store[STORAGE_KEYS.SYNC_SESSION].paused);
+  assert.ok(fake.store[STORAGE_KEYS.SYNC_SESSION].pausedAt);
+
+  assert.ok(await service.resumeSync());
+  assert.ok(!fake.store[STORAGE_KEYS.SYNC_SESSION].paused);
+  assert.equal(fake.store[STORAGE_KEYS.SYNC_SESSION].pausedAt, null);
+
+  assert.deepEqual(
+    fake.tabMessages.filter(message => message.type !== MESSAGE_TYPES.SYNC_STATE_CHANGED).map(message => message.type),
+    [MESSAGE_TYPES.PAUSE_SCRAPING, MESSAGE_TYPES.RESUME_SCRAPING]
+  );
+});
+
+test('a paused sync blocks a new one until it is resumed or cancelled', async () => {
+  const service = await serviceInPhase(SYNC_PHASES.COLLECTING);
+  await service.pauseSync();
+
+  await assert.rejects(service.startSync({}), /paused/);
+});
+
+test('cancelling stops the content script and ends the session in error', async () => {
+  fake.openTabs.add(7);
+  const service = await serviceInPhase(SYNC_PHASES.QUEUEING);
+
+  assert.ok(await service.cancelSync());
+
+  assert.equal(service.currentSync.phase, SYNC_PHASES.ERROR);
+  assert.equal(service.currentSync.error, 'Cancelled by user');
+  assert.ok(fake.tabMessages.some(message => message.type === MESSAGE_TYPES.STOP_SCRAPING));
+});
+
+test('there is nothing to pause, resume or cancel once a sync has ended', async () => {
+  const service = await serviceInPhase(SYNC_PHASES.COMPLETED, { completed: true });
+
+  assert.ok(!(await service.pauseSync()));
+  assert.ok(!(await service.resumeSync()));
+  assert.ok(!(await service.cancelSync()));
+});
+
+test('a sync that reports back before the start command returns is completed', async () => {
+  fake.openTabs.add(7);
+  const service = new SyncService(apiClient());
+  await service.ready;
+  service.resolveAuth = async () => ({ userId: 'user-1' });
+  service.ensureLinkedInTab = async () => 7;
+  service.initiateScraping = async () => {
+    // Nothing new to collect: the content script finishes before it answers
+    await service.handleSyncCompletion({ totalProcessed: 0 });
+    return { success: true };
+  };
+
+  await service.startSync({});
+
+  assert.equal(service.currentSync.phase, SYNC_PHASES.COMPLETED);
+  assert.equal(service.currentSync.error ?? null, null);
+});
+
+test('START_SCRAPING is not retried, so a slow tab never runs two collections', async () => {
+  const sent = [];
+  chrome.tabs.sendMessage = async (tabId, message) => {
+    sent.push(message.type);
+    throw new Error('The message port closed before a response was received.');
+  };
+  const service = await serviceInPhase(SYNC_PHASES.COLLECTING);
+
+  await assert.rejects(service.initiateScraping(7, {}), /Scraping initiation failed/);
+  assert.deepEqual(sent, [MESSAGE_TYPES.START_SCRAPING]);
+});
@@ -0,0 +1,117 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome.mjs';
+import { UploadQueue } from '../src/background/uploadQueue.js';
+import { ApiClient } from '../src/background/api/apiClient.js';
+import { RETRY_POLICY, MESSAGE_TYPES } from '../src/shared/constants.module.js';
+
+let fake;
+
+beforeEach(() => {
+  fake = installChrome();
+});
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+const failWith = (error) => async () => {
+  throw error;
+};
+
+async function queued(id) {
+  return (await UploadQueue._load()).find(item => item.id === id);
+}
+
+test('backoff doubles from the base delay and is capped', () => {
+  assert.equal(ApiClient.backoffDelay(0), RETRY_POLICY.BASE_DELAY);
+  assert.equal(ApiClient.backoffDelay(3), RETRY_POLICY.BASE_DELAY * 8);
+  assert.equal(ApiClient.backoffDelay(40), RETRY_POLICY.MAX_DELAY);
+});
+
+test('a failed upload is retried on ApiClient\'s backoff curve', async () => {
+  await UploadQueue.enqueue('a', { id: 'a' });
+
+  const before = Date.now();
+  const first = await UploadQueue.attempt('a', failWith(httpError(503)));
+  const afterFirst = await queued('a');
+
+  assert.equal(first.status, UploadQueue.STATUS.PENDING);
+  assert.equal(afterFirst.attempts, 1);
+  assert.ok(afterFirst.nextAttemptAt >= before + ApiClient.backoffDelay(0));
+  assert.ok(fake.alarms.has(UploadQueue.ALARM_NAME));
+
+  // Due again, fails again: the wait doubles
+  await UploadQueue._update(items => items.map(item => ({ ...item, nextAttemptAt: Date.now() })));
+  const beforeSecond = Date.now();
+  await UploadQueue.attempt('a', failWith(httpError(503)));
+
+  assert.ok((await queued('a')).nextAttemptAt >= beforeSecond + ApiClient.backoffDelay(1));
+});
+
+test('a successful upload leaves the queue', async () => {
+  await UploadQueue.enqueue('s', { id: 's' });
+
+  const outcome = await UploadQueue.attempt('s', async () => ({ postId: 's' }));
+
+  assert.ok(outcome.success);
+  assert.equal(await queued('s'), undefined);
+  assert.ok(!fake.alarms.has(UploadQueue.ALARM_NAME));
+});
+
+test('an upload is dead-lettered after DEAD_LETTER_AFTER failures', async () => {
+  await UploadQueue.enqueue('b', { id: 'b', post: { text: 'Hello' } });
+
+  for (let attempt = 1; attempt <= RETRY_POLICY.DEAD_LETTER_AFTER; attempt++) {
+    await UploadQueue.attempt('b', failWith(httpError(500)));
+  }
+
+  const item = await queued('b');
+  assert.equal(item.status, UploadQueue.STATUS.DEAD);
+  assert.equal(item.attempts, RETRY_POLICY.DEAD_LETTER_AFTER);
+  assert.equal(item.nextAttemptAt, null);
+});
+
+test('client errors are final, except auth, timeouts and rate limiting', async () => {
+  assert.equal(UploadQueue.isRetryable(httpError(400)), false);
+  assert.equal(UploadQueue.isRetryable(httpError(401)), true);
+  assert.equal(UploadQueue.isRetryable(httpError(429)), true);
+  assert.equal(UploadQueue.isRetryable(new Error('Failed to fetch')), true);
+
+  await UploadQueue.enqueue('c', { id: 'c' });
+  await UploadQueue.attempt('c', failWith(httpError(422)));
+
+  assert.equal((await queued('c')).status, UploadQueue.STATUS.DEAD);
+});
+
+test('a dead letter notifies the popup, and no open popup is not an error', async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+
+  try {
+    await UploadQueue.enqueue('d', { id: 'd' });
+    await UploadQueue.attempt('d', failWith(httpError(400)));
+    await new Promise(resolve => setTimeout(resolve, 10));
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+
+  assert.equal(fake.messages.at(-1).type, MESSAGE_TYPES.UPLOAD_QUEUE_UPDATED);
+  assert.equal(fake.messages.at(-1).data.dead[0].id, 'd');
+  assert.deepEqual(unhandled, []);
+});
+
+test('retrying a dead letter gives it a fresh set of attempts', async () => {
+  await UploadQueue.enqueue('e', { id: 'e' });
+  await UploadQueue.attempt('e', failWith(httpError(400)));
+
+  assert.equal(await UploadQueue.retry(['e']), 1);
+
+  const item = await queued('e');
+  assert.equal(item.status, UploadQueue.STATUS.PENDING);
+  assert.equal(item.attempts, 0);
+});